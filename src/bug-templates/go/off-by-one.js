@@ -19,6 +19,34 @@ import { findMatchingLines, replaceLine } from '../../utils/regex-parser.js';
 // Requires: init with :=, a numeric or identifier bound, and a loop variable.
 const FOR_LOOP_PATTERN = /for\s+\w+\s*:=\s*\d+;\s*\w+\s*([<>])\s*/;
 
+// A loop whose start, bound and step are all integer literals, with the body opening on the line:
+//   for i := 0; i < 10; i += 3 {
+const LITERAL_LOOP_PATTERN =
+  /for\s+(\w+)\s*:=\s*(-?\d+);\s*(\w+)\s*[<>]\s*(-?\d+)\s*;\s*(\w+)\s*(\+\+|--|[+-]=\s*\d+)\s*\{\s*$/;
+
+// String and rune literals, blanked out before counting braces
+const STRING_LITERAL_PATTERN = /"(?:\\.|[^"\\])*"|`[^`]*`|'(?:\\.|[^'\\])*'/g;
+
+/**
+ * Returns the lines of the loop body that starts on `lineIndex`, up to (not
+ * including) the closing brace.
+ *
+ * @param {string[]} lines
+ * @param {number} lineIndex - Index of the `for ... {` line.
+ * @returns {string[]}
+ */
+function loopBody(lines, lineIndex) {
+  let depth = 1;
+  const body = [];
+  for (let i = lineIndex + 1; i < lines.length; i++) {
+    const code = lines[i].replace(STRING_LITERAL_PATTERN, '""');
+    depth += (code.match(/\{/g) ?? []).length - (code.match(/\}/g) ?? []).length;
+    if (depth <= 0) break;
+    body.push(code);
+  }
+  return body;
+}
+
 export default {
   name: 'off-by-one',
   category: 'logic',
@@ -46,6 +74,29 @@ export default {
     return points;
   },
 
+  // The flipped comparison only differs when the counter equals the bound. A
+  // literal counter that steps over the bound (`for i := 0; i < 10; i += 3`)
+  // never does, as long as the body leaves the counter alone.
+  isEquivalent(parsed, injectionPoint) {
+    const header = injectionPoint.line.match(LITERAL_LOOP_PATTERN);
+    if (!header) return false;
+    const [, name, startText, testName, boundText, updateName, update] = header;
+    if (testName !== name || updateName !== name) return false;
+
+    const start = Number(startText);
+    const bound = Number(boundText);
+    const step =
+      update === '++' ? 1 : update === '--' ? -1 : Number(update.slice(2)) * (update[0] === '-' ? -1 : 1);
+    if (step === 0) return false;
+
+    // Any assignment, increment or address-of mentioning the counter counts as a write
+    const write = new RegExp(`\\b${name}\\b.*(?:[^=!<>:]=(?!=)|\\+\\+|--)|&${name}\\b`);
+    if (loopBody(parsed.lines, injectionPoint.lineIndex).some((line) => write.test(line))) return false;
+
+    const steps = (bound - start) / step;
+    return !(Number.isInteger(steps) && steps >= 0);
+  },
+
   inject(parsed, injectionPoint) {
     const { lineIndex, line, operator } = injectionPoint;
 
@@ -8,6 +8,39 @@ import _traverse from '@babel/traverse';
 const traverse = _traverse.default || _traverse;
 import * as t from '@babel/types';
 
+// Expressions that can never evaluate to null or undefined
+const NON_NULLISH_TYPES = new Set([
+  'ObjectExpression',
+  'ArrayExpression',
+  'NewExpression',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassExpression',
+  'StringLiteral',
+  'TemplateLiteral',
+  'NumericLiteral',
+  'BigIntLiteral',
+  'BooleanLiteral',
+  'RegExpLiteral',
+]);
+
+/**
+ * Returns true if the expression at `path` can never be null or undefined:
+ * a non-nullish literal or constructor call, or a `const` initialised with one.
+ *
+ * @param {object} path - Babel NodePath of the expression.
+ * @returns {boolean}
+ */
+function isNeverNullish(path) {
+  if (NON_NULLISH_TYPES.has(path.node.type)) return true;
+  if (!path.isIdentifier()) return false;
+
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding || binding.kind !== 'const' || !binding.path.isVariableDeclarator()) return false;
+  const init = binding.path.node.init;
+  return init != null && NON_NULLISH_TYPES.has(init.type);
+}
+
 export default {
   name: 'null-deref',
   category: 'null-safety',
@@ -35,6 +68,11 @@ export default {
     return points;
   },
 
+  // Dropping the guard changes nothing when the object is never null or undefined
+  isEquivalent(ast, injectionPoint) {
+    return isNeverNullish(injectionPoint.path.get('object'));
+  },
+
   inject(ast, injectionPoint) {
     traverse(ast, {
       OptionalMemberExpression(path) {
@@ -9,6 +9,34 @@ import _traverse from '@babel/traverse';
 const traverse = _traverse.default || _traverse;
 import * as t from '@babel/types';
 
+// Expressions that always evaluate to an object or function, which is truthy
+const OBJECT_TYPES = new Set([
+  'ObjectExpression',
+  'ArrayExpression',
+  'NewExpression',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassExpression',
+  'RegExpLiteral',
+]);
+
+/**
+ * Returns true if the expression at `path` is always truthy: an object,
+ * array, function or constructor call, or a `const` initialised with one.
+ *
+ * @param {object} path - Babel NodePath of the expression.
+ * @returns {boolean}
+ */
+function isAlwaysTruthy(path) {
+  if (OBJECT_TYPES.has(path.node.type)) return true;
+  if (!path.isIdentifier()) return false;
+
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding || binding.kind !== 'const' || !binding.path.isVariableDeclarator()) return false;
+  const init = binding.path.node.init;
+  return init != null && OBJECT_TYPES.has(init.type);
+}
+
 export default {
   name: 'nullish-to-or',
   category: 'logic',
@@ -33,6 +61,11 @@ export default {
     return points;
   },
 
+  // '??' and '||' only differ for falsy, non-nullish left operands
+  isEquivalent(ast, injectionPoint) {
+    return isAlwaysTruthy(injectionPoint.path.get('left'));
+  },
+
   inject(ast, injectionPoint) {
     traverse(ast, {
       LogicalExpression(path) {
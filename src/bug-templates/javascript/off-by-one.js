@@ -7,6 +7,66 @@ import _traverse from '@babel/traverse';
 const traverse = _traverse.default || _traverse;
 import * as t from '@babel/types';
 
+/**
+ * Reads a numeric literal, allowing a leading minus sign.
+ *
+ * @param {object|null} node - Babel expression node.
+ * @returns {number|null} The value, or null if the node is not a numeric literal.
+ */
+function numericValue(node) {
+  if (t.isNumericLiteral(node)) return node.value;
+  if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) {
+    return -node.argument.value;
+  }
+  return null;
+}
+
+/**
+ * Recognises a counting loop whose start, bound and step are all integer
+ * literals: `for (let i = start; i < bound; i += step)` and its variants.
+ *
+ * @param {object} loop - Babel ForStatement node.
+ * @returns {{ name: string, start: number, bound: number, step: number }|null}
+ */
+function literalCounter(loop) {
+  const { init, test, update } = loop;
+
+  let name;
+  let bound;
+  if (t.isIdentifier(test.left) && numericValue(test.right) !== null) {
+    name = test.left.name;
+    bound = numericValue(test.right);
+  } else if (t.isIdentifier(test.right) && numericValue(test.left) !== null) {
+    name = test.right.name;
+    bound = numericValue(test.left);
+  } else {
+    return null;
+  }
+
+  let start = null;
+  if (t.isVariableDeclaration(init) && init.declarations.length === 1) {
+    const [declarator] = init.declarations;
+    if (t.isIdentifier(declarator.id, { name })) start = numericValue(declarator.init);
+  } else if (t.isAssignmentExpression(init, { operator: '=' }) && t.isIdentifier(init.left, { name })) {
+    start = numericValue(init.right);
+  }
+
+  let step = null;
+  if (t.isUpdateExpression(update) && t.isIdentifier(update.argument, { name })) {
+    step = update.operator === '++' ? 1 : -1;
+  } else if (
+    t.isAssignmentExpression(update) &&
+    (update.operator === '+=' || update.operator === '-=') &&
+    t.isIdentifier(update.left, { name })
+  ) {
+    const value = numericValue(update.right);
+    if (value !== null) step = update.operator === '+=' ? value : -value;
+  }
+
+  if (![start, bound, step].every(Number.isInteger) || step === 0) return null;
+  return { name, start, bound, step };
+}
+
 export default {
   name: 'off-by-one',
   category: 'logic',
@@ -40,6 +100,25 @@ export default {
     return points;
   },
 
+  // The flipped comparison only differs when the counter equals the bound. A
+  // literal counter that steps over the bound and is written nowhere else
+  // (`for (let i = 0; i < 10; i += 3)`) never does.
+  isEquivalent(ast, injectionPoint) {
+    const loop = injectionPoint.path.node;
+    const counter = literalCounter(loop);
+    if (!counter) return false;
+
+    const binding = injectionPoint.path.scope.getBinding(counter.name);
+    if (!binding) return false;
+    const writtenElsewhere = binding.constantViolations.some(
+      (violation) => violation.node !== loop.update && violation.node !== loop.init
+    );
+    if (writtenElsewhere) return false;
+
+    const steps = (counter.bound - counter.start) / counter.step;
+    return !(Number.isInteger(steps) && steps >= 0);
+  },
+
   inject(ast, injectionPoint) {
     traverse(ast, {
       ForStatement(path) {
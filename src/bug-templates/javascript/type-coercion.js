@@ -8,6 +8,26 @@ import _traverse from '@babel/traverse';
 const traverse = _traverse.default || _traverse;
 import * as t from '@babel/types';
 
+const BOOLEAN_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '<=', '>', '>=', 'instanceof', 'in']);
+
+/**
+ * Returns the primitive type an expression always evaluates to, when that is
+ * evident from the expression alone.
+ *
+ * @param {object} node - Babel expression node.
+ * @returns {string|null} A `typeof` result, or null if the type is not known.
+ */
+function staticType(node) {
+  if (t.isStringLiteral(node) || t.isTemplateLiteral(node)) return 'string';
+  if (t.isNumericLiteral(node)) return 'number';
+  if (t.isBigIntLiteral(node)) return 'bigint';
+  if (t.isBooleanLiteral(node)) return 'boolean';
+  if (t.isUnaryExpression(node, { operator: 'typeof' })) return 'string';
+  if (t.isUnaryExpression(node, { operator: '!' })) return 'boolean';
+  if (t.isBinaryExpression(node) && BOOLEAN_OPERATORS.has(node.operator)) return 'boolean';
+  return null;
+}
+
 export default {
   name: 'type-coercion',
   category: 'logic',
@@ -34,6 +54,14 @@ export default {
     return points;
   },
 
+  // Loose and strict equality agree when both operands have the same type,
+  // e.g. two string literals or `typeof x === 'string'`
+  isEquivalent(ast, injectionPoint) {
+    const { left, right } = injectionPoint.node;
+    const type = staticType(left);
+    return type !== null && type === staticType(right);
+  },
+
   inject(ast, injectionPoint) {
     traverse(ast, {
       BinaryExpression(path) {
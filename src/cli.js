@@ -1,21 +1,41 @@
 #!/usr/bin/env node
 
 import { scanDirectory } from './core/scanner.js';
-import { fixBug, fixBugs } from './core/fixer.js';
-import { injectBugs } from './core/injector.js';
+import { loadBaseline, updateBaseline, addToBaseline } from './core/baseline.js';
+import { fixBug, fixBugs, reviseFix } from './core/fixer.js';
+import { injectBugs, withInjectionsSetAside } from './core/injector.js';
 import {
   loadManifest,
   createManifest,
   addRealFix,
   addInjectedBug,
   markDiscovered,
+  findBugByLocation,
+  addFalsePositive,
   saveManifest,
 } from './core/manifest.js';
 import { revertAllInjections } from './core/reverter.js';
+import { getAdapter, getSupportedLanguages } from './languages/index.js';
+import { loadConfig, formatTemplate, DEFAULT_CONFIG, OPTION_KEYS } from './core/config.js';
+import { hasApiKey, LLM_PROVIDERS } from './utils/llm.js';
+import { clearCache } from './utils/cache.js';
+import { runTests, compareToBaseline, classifyMutant, DEFAULT_TEST_TIMEOUT_MS } from './utils/test-runner.js';
+import { diffWords } from './utils/diff.js';
+import { formatReport, REPORT_FORMATS } from './core/report.js';
+import { runMutationTests } from './core/mutator.js';
+import {
+  formatMutationReport,
+  summariseMutants,
+  groupMutants,
+  MUTATION_REPORT_FORMATS,
+} from './core/mutation-report.js';
 import { generateScoreboard } from './scoring/scoreboard.js';
-import { getDifficultyStars, getDifficultyLabel } from './scoring/difficulty.js';
+import { rateDifficulty, getDifficultyStars, getDifficultyLabel } from './scoring/difficulty.js';
 import {
   getCurrentBranch,
+  getRepoRoot,
+  getChangedFiles,
+  getChangedLineRanges,
   createHydraBranch,
   isCleanWorkingTree,
   commitChanges,
@@ -24,7 +44,11 @@ import {
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import { spawnSync } from 'node:child_process';
 import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
 
 // ─── Banner ───────────────────────────────────────────────────────────────────
 
@@ -35,15 +59,245 @@ function printBanner() {
   console.log('');
 }
 
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+/** Effective project config; replaced by the file config before each command runs. */
+let config = structuredClone(DEFAULT_CONFIG);
+
+/**
+ * Loads the project config from the repository root and fills in every option
+ * of `command` that was not given on the command line.
+ * @param {import('commander').Command} command - The command about to run.
+ */
+async function applyProjectConfig(command) {
+  try {
+    ({ config } = await loadConfig(getRepoRoot()));
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (!OPTION_KEYS.includes(key) || config[key] === undefined) continue;
+    if (command.getOptionValueSource(key) === 'cli') continue;
+    const value = typeof config[key] === 'number' ? String(config[key]) : config[key];
+    command.setOptionValueWithSource(key, value, 'config');
+  }
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-function checkApiKey() {
-  if (!process.env.OPENAI_API_KEY && !process.env.ANTHROPIC_API_KEY) {
+/**
+ * Exits unless an LLM can be reached with the given settings.
+ * @param {object} llm - Settings from resolveLLM().
+ */
+function checkApiKey(llm) {
+  if (!hasApiKey(llm)) {
     console.error(
       chalk.red('Error: No LLM API key found.\n') +
         chalk.yellow('  export OPENAI_API_KEY=sk-...\n') +
-        chalk.yellow('  export ANTHROPIC_API_KEY=sk-ant-...')
+        chalk.yellow('  export XAI_API_KEY=xai-...\n') +
+        chalk.yellow('  export ANTHROPIC_API_KEY=sk-ant-...\n') +
+        chalk.yellow('  or pass --base-url for an OpenAI-compatible local server')
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Parses an optional positive integer option, exiting with an error if it is invalid.
+ * @param {string|undefined} value - Raw option value.
+ * @param {string} flag - Option name for the error message, e.g. "--concurrency".
+ * @returns {number|undefined} The number, or undefined if the option was not given.
+ */
+function parsePositiveInt(value, flag) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(chalk.red(`Error: ${flag} must be a positive integer (got "${value}").`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Parses an optional non-negative integer option, exiting with an error if it is invalid.
+ * @param {string|undefined} value - Raw option value.
+ * @param {string} flag - Option name for the error message, e.g. "--context-tokens".
+ * @returns {number|undefined} The number, or undefined if the option was not given.
+ */
+function parseNonNegativeInt(value, flag) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    console.error(chalk.red(`Error: ${flag} must be a non-negative integer (got "${value}").`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Resolves `--since` / `--staged` / `--changed-lines` into scan restrictions.
+ * Exits on conflicting options or git errors.
+ * @param {object} opts - Parsed scan options.
+ * @returns {{ onlyFiles?: string[], lineRanges?: Map<string, object[]|null> }}
+ *   Empty when the whole scope should be scanned.
+ */
+function resolveChangedScope(opts) {
+  if (opts.since && opts.staged) {
+    console.error(chalk.red('Error: use either --since or --staged, not both.'));
+    process.exit(1);
+  }
+  if (!opts.since && !opts.staged) {
+    if (opts.changedLines) {
+      console.error(chalk.red('Error: --changed-lines needs --since <ref> or --staged.'));
+      process.exit(1);
+    }
+    return {};
+  }
+
+  const which = { since: opts.since, staged: opts.staged };
+  try {
+    const onlyFiles = getChangedFiles(which);
+    const lineRanges = opts.changedLines
+      ? new Map(onlyFiles.map((file) => [file, getChangedLineRanges(file, which)]))
+      : undefined;
+    return { onlyFiles, lineRanges };
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Suffix for scan summaries noting how many files came from the scan cache.
+ * @param {number} cacheHits - From scanDirectory().
+ * @returns {string}
+ */
+function cachedNote(cacheHits) {
+  return cacheHits > 0 ? chalk.gray(` (${cacheHits} unchanged file(s) from cache)`) : '';
+}
+
+/**
+ * Suffix for scan summaries noting how many findings were suppressed.
+ * @param {{ baseline: number, inline: number }} suppressed - From scanDirectory().
+ * @returns {string}
+ */
+function suppressedNote(suppressed) {
+  const parts = [];
+  if (suppressed.baseline > 0) parts.push(`${suppressed.baseline} accepted in baseline`);
+  if (suppressed.inline > 0) parts.push(`${suppressed.inline} hydra-ignore'd`);
+  return parts.length > 0 ? chalk.gray(` (${parts.join(', ')})`) : '';
+}
+
+/**
+ * Reads the suppression baseline, exiting if the file is malformed.
+ * @returns {object|null} From loadBaseline().
+ */
+function readBaselineOrExit() {
+  try {
+    return loadBaseline();
+  } catch (err) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Prints the files a scan could not cover, e.g. after persistent rate limits.
+ * @param {Array<{ file: string, error: string, code?: string }>} failures - From scanDirectory().
+ */
+function printScanFailures(failures) {
+  if (failures.length === 0) return;
+  console.log(chalk.yellow(`\n  ${failures.length} file(s) could not be scanned:`));
+  for (const failure of failures) {
+    console.log(`    ${chalk.cyan(failure.file)} — ${chalk.gray(failure.error)}`);
+  }
+  console.log('');
+}
+
+/**
+ * Fails the command if the replay provider had no recording for some scan
+ * prompt: the cassettes are stale, so the files were never really scanned.
+ * @param {object} spinner - The scan's ora spinner.
+ * @param {Array<{ file: string, error: string, code?: string }>} failures - From scanDirectory().
+ */
+function exitOnReplayMisses(spinner, failures) {
+  const misses = failures.filter((failure) => failure.code === 'CASSETTE_MISS');
+  if (misses.length === 0) return;
+  spinner.fail('Scan failed.');
+  printScanFailures(misses);
+  console.error(
+    chalk.red(
+      `Error: no recorded response for ${misses.length} file(s); ` +
+        're-record the cassettes with the "record" provider.'
+    )
+  );
+  process.exit(1);
+}
+
+/**
+ * Prints what finding validation changed: corrected line numbers, repaired
+ * responses and rejected findings.
+ * @param {{ corrected: number, repaired: number, rejected: object[] }} validation - From scanDirectory().
+ */
+function printValidationSummary(validation) {
+  const { corrected, repaired, rejected } = validation;
+  if (corrected === 0 && repaired === 0 && rejected.length === 0) return;
+
+  const parts = [];
+  if (corrected > 0) parts.push(`${corrected} line number(s) corrected`);
+  if (repaired > 0) parts.push(`${repaired} malformed response(s) repaired`);
+  if (rejected.length > 0) parts.push(`${rejected.length} finding(s) rejected`);
+  console.log(chalk.gray(`\n  Validation: ${parts.join(', ')}.`));
+
+  for (const finding of rejected) {
+    console.log(
+      `    ${chalk.cyan(`${finding.file}:${finding.line}`)} — ${chalk.gray(`${finding.reason}: ${finding.description}`)}`
     );
+  }
+  console.log('');
+}
+
+/**
+ * Resolves LLM settings for one phase of a run. Command options win over the
+ * project config, and a phase-specific model wins over the shared one.
+ * Exits on an unknown provider name.
+ * @param {object} opts - Parsed command options.
+ * @param {'scan'|'fix'} phase - Which model to pick.
+ * @returns {{ provider?: string, model?: string, baseUrl?: string, cassetteDir?: string }}
+ *   Options for getLLMClient().
+ */
+function resolveLLM(opts, phase) {
+  const { scanModel, fixModel, ...llm } = config.llm;
+  const provider = opts.provider ?? llm.provider;
+
+  if (provider && !LLM_PROVIDERS.includes(provider)) {
+    console.error(chalk.red(`Error: unknown LLM provider "${provider}".`));
+    console.error(chalk.yellow(`  Available: ${LLM_PROVIDERS.join(', ')}`));
+    process.exit(1);
+  }
+
+  const optsPhaseModel = phase === 'scan' ? opts.scanModel : opts.fixModel;
+  const configPhaseModel = phase === 'scan' ? scanModel : fixModel;
+
+  return {
+    ...llm,
+    provider,
+    baseUrl: opts.baseUrl ?? llm.baseUrl,
+    model: optsPhaseModel ?? opts.model ?? configPhaseModel ?? llm.model,
+  };
+}
+
+/**
+ * Exits if the project config restricts reviewer names and `name` is not one of them.
+ * @param {string} name - Reviewer name from the command line or config.
+ */
+function checkReviewer(name) {
+  if (config.reviewers.length > 0 && !config.reviewers.includes(name)) {
+    console.error(chalk.red(`Error: unknown reviewer "${name}".`));
+    console.error(chalk.yellow(`  Configured reviewers: ${config.reviewers.join(', ')}`));
     process.exit(1);
   }
 }
@@ -61,6 +315,390 @@ function severityColor(severity) {
   }
 }
 
+/**
+ * Colours a removed or added line, inverting the words that changed.
+ * @param {string} sign - '-' or '+'.
+ * @param {Array<{ text: string, changed: boolean }>} segments - From diffWords().
+ * @param {Function} colour - chalk colour for the line.
+ * @returns {string}
+ */
+function highlightLine(sign, segments, colour) {
+  return colour(sign) + segments.map(({ text, changed }) => (changed ? colour.inverse(text) : colour(text))).join('');
+}
+
+/**
+ * Prints a unified diff with added/removed lines coloured. When a run of
+ * removed lines is directly replaced by as many added lines, each pair is
+ * compared word by word and the changed words are highlighted.
+ * @param {string} diff - Unified diff text.
+ * @param {string} [indent='    '] - Prefix for every line.
+ */
+function printDiff(diff, indent = '    ') {
+  const lines = diff.split('\n');
+  const isRemoved = (line) => line.startsWith('-') && !line.startsWith('---');
+  const isAdded = (line) => line.startsWith('+') && !line.startsWith('+++');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (isRemoved(line)) {
+      let removedEnd = i;
+      while (removedEnd < lines.length && isRemoved(lines[removedEnd])) removedEnd++;
+      let addedEnd = removedEnd;
+      while (addedEnd < lines.length && isAdded(lines[addedEnd])) addedEnd++;
+
+      const count = removedEnd - i;
+      if (addedEnd - removedEnd === count) {
+        const pairs = lines
+          .slice(i, removedEnd)
+          .map((removed, k) => diffWords(removed.slice(1), lines[removedEnd + k].slice(1)));
+        for (const pair of pairs) console.log(indent + highlightLine('-', pair.removed, chalk.red));
+        for (const pair of pairs) console.log(indent + highlightLine('+', pair.added, chalk.green));
+        i = addedEnd - 1;
+        continue;
+      }
+    }
+
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(indent + chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(indent + chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(indent + chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(indent + chalk.red(line));
+    } else {
+      console.log(indent + chalk.gray(line));
+    }
+  }
+}
+
+/**
+ * Prints a dry-run injection: where it lands, which template produced it,
+ * how hard it should be to spot, and the exact diff.
+ * @param {object} injection - Result from injectBugs() with `dryRun: true`.
+ */
+function printInjectionPreview(injection) {
+  const difficulty = rateDifficulty(injection);
+  console.log(
+    `  ${chalk.cyan(injection.file)}:${injection.line}  ` +
+      `${chalk.bold(injection.template)} (${injection.category})  ` +
+      `${chalk.yellow(getDifficultyStars(difficulty))} ${getDifficultyLabel(difficulty)}`
+  );
+  console.log(`    ${chalk.gray(injection.description)}`);
+  printDiff(injection.diff);
+  console.log('');
+}
+
+/**
+ * Creates and checks out the `hydra/session-*` branch for a new session,
+ * exiting the process if git refuses.
+ * @param {string} sessionId - Random session identifier.
+ * @returns {string} The branch name.
+ */
+function startSessionBranch(sessionId) {
+  const branchName = `hydra/session-${sessionId}`;
+  const branchSpinner = ora('Creating hydra branch...').start();
+  try {
+    createHydraBranch(sessionId);
+    branchSpinner.succeed(`Branch created: ${chalk.cyan(branchName)}`);
+  } catch (err) {
+    branchSpinner.fail('Failed to create hydra branch.');
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(1);
+  }
+  return branchName;
+}
+
+/**
+ * Records injection results in the manifest and commits them with an
+ * innocent-looking message.
+ * @param {object} manifest - Session manifest (mutated in place).
+ * @param {object[]} injections - Results from injectBugs().
+ * @param {string|null} parentFix - Id of the real fix that triggered the injections, if any.
+ */
+function recordInjections(manifest, injections, parentFix) {
+  for (const injection of injections) {
+    addInjectedBug(manifest, {
+      parentFix,
+      file: injection.file,
+      line: injection.line,
+      template: injection.template,
+      category: injection.category,
+      severity: injection.severity,
+      description: injection.description,
+      diff: injection.diff,
+      revertPatch: injection.revertPatch,
+      verification: injection.verification,
+    });
+  }
+
+  if (injections.length > 0) {
+    try {
+      commitChanges(formatTemplate(config.commitMessages.inject, { count: injections.length }));
+    } catch {
+      // Non-fatal
+    }
+  }
+}
+
+/**
+ * Runs the test command once before any fix or injection, to judge the first
+ * change against. Exits if the command times out; warns if the tests already
+ * fail, since changes can then only be compared by failing-test count.
+ * @param {string} command - The --test-cmd or --verify-with-tests value.
+ * @param {number} timeoutMs
+ * @param {'fixing'|'injecting'} [stage='fixing'] - What the baseline is taken before.
+ * @returns {Promise<object>} Result from runTests().
+ */
+async function runTestBaseline(command, timeoutMs, stage = 'fixing') {
+  const spinner = ora(`Running tests before ${stage}: ${command}`).start();
+  const baseline = await runTests(command, { timeoutMs });
+
+  if (baseline.timedOut) {
+    spinner.fail(`Test command timed out after ${Math.round(timeoutMs / 1000)}s; raise --test-timeout.`);
+    process.exit(1);
+  }
+  if (baseline.passed) {
+    spinner.succeed(`Tests pass before ${stage} (${Math.round(baseline.durationMs / 1000)}s).`);
+  } else {
+    const count = baseline.failures == null ? 'an unknown number of' : String(baseline.failures);
+    const consequence =
+      stage === 'fixing'
+        ? 'fixes that add failures will be reverted'
+        : 'injected bugs count as killed only if they add failures';
+    spinner.warn(`Tests already fail before ${stage} (${count} failing); ${consequence}.`);
+  }
+  return baseline;
+}
+
+/**
+ * Builds the injectBugs() `verify` callback for --verify-with-tests. Each
+ * injected bug is tested alone, with the ones injected before it set aside,
+ * and judged against the clean baseline: killed if the tests got worse,
+ * survived if they did not.
+ * @param {string} command - The --verify-with-tests value.
+ * @param {number} timeoutMs
+ * @param {object} baseline - runTests() result from before the first injection.
+ * @returns {(injection: object) => Promise<{
+ *   status: 'killed'|'survived'|'timeout'|'unknown',
+ *   reason: string|null,
+ *   command: string
+ * }>}
+ */
+function createTestVerifier(command, timeoutMs, baseline) {
+  // Injections already on disk, across every injectBugs() call of the command
+  const earlier = [];
+  return async (injection) => {
+    try {
+      const result = await withInjectionsSetAside(earlier, () => runTests(command, { timeoutMs }));
+      const { status, reason } = classifyMutant(baseline, result);
+      return { status, reason, command };
+    } finally {
+      earlier.push(injection);
+    }
+  };
+}
+
+/**
+ * Summarises --verify-with-tests outcomes, e.g. "2 killed, 1 survived".
+ * @param {Array<{ verification?: { status: string } }>} bugs - Injection results or manifest entries.
+ * @returns {string} The summary, or an empty string if none were verified.
+ */
+function verificationSummary(bugs) {
+  const counts = new Map();
+  for (const bug of bugs) {
+    if (bug.verification) counts.set(bug.verification.status, (counts.get(bug.verification.status) ?? 0) + 1);
+  }
+  return ['killed', 'survived', 'timeout', 'unknown']
+    .filter((status) => counts.has(status))
+    .map((status) => `${counts.get(status)} ${status === 'timeout' ? 'timed out' : status}`)
+    .join(', ');
+}
+
+/**
+ * Prints mutation-testing results per file or per template as an aligned table.
+ * @param {string} heading - Name of the first column, e.g. "File".
+ * @param {object[]} rows - Rows from groupMutants().
+ */
+function printMutationTable(heading, rows) {
+  const width = Math.max(heading.length, ...rows.map((row) => row.name.length));
+  const columns = ['Mutants', 'Killed', 'Survived', 'Timeout', 'Score'];
+  console.log(chalk.bold(`  ${heading.padEnd(width)}  ${columns.map((c) => c.padStart(8)).join(' ')}`));
+  for (const row of rows) {
+    const score = row.mutationScore === null ? 'n/a' : `${row.mutationScore.toFixed(1)}%`;
+    const colour = row.survived === 0 ? chalk.green : row.mutationScore >= 80 ? chalk.yellow : chalk.red;
+    const counts = [row.mutants, row.killed, row.survived, row.timeout].map((n) => String(n).padStart(8));
+    console.log(`  ${row.name.padEnd(width)}  ${counts.join(' ')} ${colour(score.padStart(8))}`);
+  }
+  console.log('');
+}
+
+/** Answers to the interactive review prompt; each can be given by its first letter. */
+const REVIEW_CHOICES = ['accept', 'reject', 'edit', 'skip'];
+
+/**
+ * Asks a question on the terminal until one of `choices` (or its first letter)
+ * is given. Ctrl-C aborts the command.
+ * @param {string} question - Prompt text.
+ * @param {string[]} choices - Accepted answers, with distinct first letters.
+ * @returns {Promise<string|null>} The chosen answer, or null if input ended.
+ */
+function askChoice(question, choices) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.exit(130);
+  });
+
+  return new Promise((resolve) => {
+    let choice = null;
+    rl.on('close', () => resolve(choice));
+    const ask = () =>
+      rl.question(question, (answer) => {
+        const key = answer.trim().toLowerCase();
+        choice = choices.find((c) => key === c || key === c[0]) ?? null;
+        if (choice) {
+          rl.close();
+        } else {
+          console.log(chalk.yellow(`  Please answer ${choices.join(', ')}.`));
+          ask();
+        }
+      });
+    ask();
+  });
+}
+
+/**
+ * Opens a file in $VISUAL / $EDITOR (default: vi) and waits for it to close.
+ * @param {string} file - Absolute path.
+ * @throws {Error} If the editor cannot be started or exits with an error.
+ */
+function openInEditor(file) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const result = spawnSync(`${editor} ${JSON.stringify(file)}`, { shell: true, stdio: 'inherit' });
+  if (result.error) throw new Error(`Cannot start editor "${editor}": ${result.error.message}`);
+  if (result.status !== 0) throw new Error(`Editor "${editor}" exited with code ${result.status}`);
+}
+
+/**
+ * Shows a finding and its applied fix, and asks the operator what to do with
+ * it. "edit" opens the fixed file in the editor and asks again with the new diff.
+ * @param {object} bug - Finding from scanDirectory().
+ * @param {object} fixResult - Result from fixBug(); the fix is on disk.
+ * @param {string} label - Position in the review, e.g. "Fix 1/3:".
+ * @returns {Promise<{ action: 'accept'|'reject'|'skip', fixResult: object }>}
+ *   The decision and the (possibly edited) fix. Ending input counts as "skip".
+ */
+async function reviewFix(bug, fixResult, label) {
+  console.log('');
+  console.log(
+    `${chalk.bold(label)} ${chalk.cyan(`${bug.file}:${bug.line}`)} ` +
+      `[${severityColor(bug.severity)}] ${bug.description}`
+  );
+
+  for (;;) {
+    printDiff(fixResult.diff);
+    const choice = await askChoice('  [a]ccept, [r]eject, [e]dit, [s]kip? ', REVIEW_CHOICES);
+    if (choice !== 'edit') return { action: choice ?? 'skip', fixResult };
+
+    try {
+      openInEditor(path.resolve(fixResult.file));
+      fixResult = await reviseFix(fixResult);
+    } catch (err) {
+      fs.writeFileSync(path.resolve(fixResult.file), fixResult.fixedCode, 'utf8');
+      console.log(chalk.red(`  ${err.message}; keeping the previous fix.`));
+    }
+  }
+}
+
+/**
+ * Pushes the session branch and opens the PR, reporting the outcome on a spinner.
+ * Failures are reported but never fatal — the session is already committed locally.
+ * @param {string} branchName - Session branch to push.
+ * @param {{ title: string, body: string }} pr - PR title and body.
+ */
+function openSessionPR(branchName, pr) {
+  const prSpinner = ora('Pushing branch and creating PR...').start();
+  try {
+    const prResult = pushAndCreatePR(branchName, pr);
+
+    if (prResult.prUrl) {
+      prSpinner.succeed(`PR created: ${chalk.cyan(prResult.prUrl)}`);
+    } else {
+      prSpinner.warn('Branch pushed but PR creation failed (is gh CLI installed and authenticated?)');
+    }
+  } catch (err) {
+    prSpinner.fail(`Push failed: ${err.message}`);
+  }
+}
+
+/**
+ * Commander option parser for comma-separated lists (`--templates a,b`).
+ * @param {string} value
+ * @param {string[]} [previous=[]]
+ * @returns {string[]}
+ */
+function commaList(value, previous = []) {
+  return [...previous, ...value.split(',').map((v) => v.trim()).filter(Boolean)];
+}
+
+/**
+ * Commander option parser for repeatable options (`--exclude a --exclude b`).
+ * Globs may contain commas (`*.{js,ts}`), so they are not split.
+ * @param {string} value
+ * @param {string[]} [previous=[]]
+ * @returns {string[]}
+ */
+function repeatable(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Builds the effective filter set from command options, validating template
+ * and category names against every language's templates. Exits on unknown names.
+ * @param {object} opts - Parsed command options.
+ * @returns {Promise<object|null>} Filter object for injectBugs(), or null if no filters were given.
+ */
+async function resolveFilters(opts) {
+  const filters = {};
+  if (opts.templates?.length) filters.templates = opts.templates;
+  if (opts.excludeTemplates?.length) filters.excludeTemplates = opts.excludeTemplates;
+  if (opts.categories?.length) filters.categories = opts.categories;
+  if (opts.include?.length) filters.include = opts.include;
+  // Protected paths from the project config are excluded no matter what is passed.
+  const exclude = [...(opts.exclude ?? []), ...config.protectedPaths];
+  if (exclude.length) filters.exclude = exclude;
+
+  if (Object.keys(filters).length === 0) return null;
+
+  const knownTemplates = new Set();
+  const knownCategories = new Set();
+  for (const language of getSupportedLanguages()) {
+    const adapter = await getAdapter(language);
+    for (const tpl of adapter.templates) {
+      knownTemplates.add(tpl.name);
+      knownCategories.add(tpl.category);
+    }
+  }
+
+  const unknown = [
+    ...[...(filters.templates ?? []), ...(filters.excludeTemplates ?? [])]
+      .filter((name) => !knownTemplates.has(name))
+      .map((name) => `template "${name}"`),
+    ...(filters.categories ?? [])
+      .filter((name) => !knownCategories.has(name))
+      .map((name) => `category "${name}"`),
+  ];
+
+  if (unknown.length > 0) {
+    console.error(chalk.red(`Error: unknown ${unknown.join(', ')}.`));
+    console.error(chalk.yellow(`  Categories: ${[...knownCategories].sort().join(', ')}`));
+    process.exit(1);
+  }
+
+  return filters;
+}
+
 // ─── Program ──────────────────────────────────────────────────────────────────
 
 const program = new Command();
@@ -68,7 +706,8 @@ const program = new Command();
 program
   .name('hydra-bugbot')
   .description('Chaos engineering for code review — find bugs, fix them, inject 2 more')
-  .version('1.0.0');
+  .version('1.0.0')
+  .hook('preAction', (thisCommand, actionCommand) => applyProjectConfig(actionCommand));
 
 // ─── scan ─────────────────────────────────────────────────────────────────────
 
@@ -81,19 +720,105 @@ program
     'Minimum severity to report (low | medium | high | critical)'
   )
   .option('--language <lang>', 'Language hint (e.g. javascript, typescript)')
+  .option('--provider <name>', `LLM provider (${LLM_PROVIDERS.join(', ')})`)
+  .option('--model <name>', 'LLM model to use instead of the provider default')
+  .option('--base-url <url>', 'API endpoint, e.g. an OpenAI-compatible local server')
+  .option('--concurrency <n>', 'Files to scan in parallel (default: 4)')
+  .option('--max-requests <n>', 'Stop sending LLM requests after this many (retries included)')
+  .option('--context-tokens <n>', 'Token budget for imported-module signatures in each scan prompt (0 disables)')
+  .option('--no-cache', 'Rescan every file instead of reusing cached results for unchanged files')
+  .option('--since <ref>', 'Only scan files changed since this git ref (e.g. main)')
+  .option('--staged', 'Only scan files with staged changes')
+  .option('--changed-lines', 'With --since/--staged: only report bugs on changed lines')
+  .option('--format <format>', `Output format: text, ${REPORT_FORMATS.join(', ')}`, 'text')
+  .option('--output <file>', 'Write the report to a file instead of stdout (needs --format)')
+  .option('--update-baseline', 'Accept every current finding into .hydra-baseline.json so later runs skip it')
   .action(async (opts) => {
-    printBanner();
-    checkApiKey();
+    if (opts.format !== 'text' && !REPORT_FORMATS.includes(opts.format)) {
+      console.error(chalk.red(`Error: unknown format "${opts.format}".`));
+      console.error(chalk.yellow(`  Available: text, ${REPORT_FORMATS.join(', ')}`));
+      process.exit(1);
+    }
+    if (opts.output && opts.format === 'text') {
+      console.error(chalk.red(`Error: --output needs --format ${REPORT_FORMATS.join('|')}.`));
+      process.exit(1);
+    }
+    if (opts.updateBaseline && (opts.format !== 'text' || opts.changedLines)) {
+      console.error(chalk.red('Error: --update-baseline cannot be combined with --format or --changed-lines.'));
+      process.exit(1);
+    }
+    // A report on stdout must not be mixed with the banner or progress text
+    const reportToStdout = opts.format !== 'text' && !opts.output;
+
+    if (!reportToStdout) printBanner();
+    const llm = resolveLLM(opts, 'scan');
+    checkApiKey(llm);
+
+    const changed = resolveChangedScope(opts);
+    const baseline = readBaselineOrExit();
+    if (changed.onlyFiles?.length === 0 && opts.format === 'text') {
+      console.log(chalk.green('No changed files to scan.'));
+      return;
+    }
 
-    const spinner = ora('Scanning for bugs...').start();
+    const spinner = ora({
+      text: changed.onlyFiles ? 'Scanning changed files...' : 'Scanning for bugs...',
+      isSilent: reportToStdout,
+    }).start();
 
     try {
-      const bugs = await scanDirectory(opts.scope, {
+      const scan = await scanDirectory(opts.scope, {
         severity: opts.severity,
         language: opts.language,
+        include: config.include,
+        exclude: [...(config.exclude ?? []), ...config.protectedPaths],
+        skipDirs: config.skipDirs,
+        llm,
+        concurrency: parsePositiveInt(opts.concurrency, '--concurrency'),
+        maxRequests: parsePositiveInt(opts.maxRequests, '--max-requests'),
+        contextTokens: parseNonNegativeInt(opts.contextTokens, '--context-tokens'),
+        cache: opts.cache,
+        // Updating re-accepts everything still reported, so nothing is filtered out first
+        baseline: opts.updateBaseline ? null : baseline,
+        ...changed,
       });
+      const { bugs, failures, cacheHits, suppressed } = scan;
+      exitOnReplayMisses(spinner, failures);
+
+      if (opts.updateBaseline) {
+        const { total, added, removed } = updateBaseline(bugs, scan.scannedFiles);
+        spinner.succeed(`Scan complete — ${bugs.length} bug(s) found.${cachedNote(cacheHits)}`);
+        printScanFailures(failures);
+        console.log(
+          chalk.green(`Baseline updated: ${total} accepted finding(s) (${added} added, ${removed} removed).`)
+        );
+        return;
+      }
+
+      if (opts.format !== 'text') {
+        spinner.stop();
+        const report = formatReport(scan, opts.format, {
+          root: getRepoRoot(),
+          version: program.version(),
+        });
+        if (reportToStdout) {
+          process.stdout.write(report);
+        } else {
+          fs.writeFileSync(opts.output, report, 'utf8');
+          console.log(
+            chalk.green(`Wrote ${opts.format} report with ${bugs.length} finding(s) to ${opts.output}`)
+          );
+          printScanFailures(failures);
+          printValidationSummary(scan.validation);
+        }
+        return;
+      }
 
-      spinner.succeed(`Scan complete — ${bugs.length} bug(s) found.`);
+      spinner.succeed(
+        `Scan complete — ${bugs.length} bug(s) found.${cachedNote(cacheHits)}${suppressedNote(suppressed)}`
+      );
+      printScanFailures(failures);
+      printValidationSummary(scan.validation);
       console.log('');
 
       if (bugs.length === 0) {
@@ -109,6 +834,7 @@ program
           `  ${chalk.bold(`[${i + 1}]`)} ${chalk.cyan(bug.file)}:${chalk.bold(String(bug.line))}`
         );
         console.log(`       Severity:    ${severityColor(bug.severity)}`);
+        console.log(`       Category:    ${bug.category}`);
         console.log(`       Description: ${bug.description}`);
         console.log(`       Fix hint:    ${chalk.gray(bug.suggestedFix)}`);
         console.log('');
@@ -135,12 +861,45 @@ program
   )
   .option('--dry-run', 'Preview what would happen without making any changes')
   .option('--language <lang>', 'Target language (javascript, python, go). Auto-detects if omitted.')
+  .option('--seed <value>', 'Randomise injection selection reproducibly (same seed → same bugs)')
+  .option('--templates <names>', 'Only use these templates (comma-separated)', commaList)
+  .option('--exclude-templates <names>', 'Never use these templates (comma-separated)', commaList)
+  .option('--categories <names>', 'Only use templates in these categories (comma-separated)', commaList)
+  .option('--include <glob>', 'Only touch files matching this glob (repeatable)', repeatable)
+  .option('--exclude <glob>', 'Never touch files matching this glob (repeatable)', repeatable)
+  .option('--provider <name>', `LLM provider (${LLM_PROVIDERS.join(', ')})`)
+  .option('--model <name>', 'LLM model for scanning and fixing')
+  .option('--scan-model <name>', 'LLM model for scanning (overrides --model)')
+  .option('--fix-model <name>', 'LLM model for fixing (overrides --model)')
+  .option('--base-url <url>', 'API endpoint, e.g. an OpenAI-compatible local server')
+  .option('--concurrency <n>', 'Files to scan in parallel (default: 4)')
+  .option('--max-requests <n>', 'Stop sending scan requests after this many (retries included)')
+  .option('--context-tokens <n>', 'Token budget for imported-module signatures in each scan prompt (0 disables)')
+  .option('--no-cache', 'Rescan every file instead of reusing cached results for unchanged files')
+  .option('--max-fix-lines <n>', 'Reject fixes that change more than this many lines (default: 20)')
+  .option('--test-cmd <cmd>', 'Run this test command after each fix; fixes that break the tests are reverted')
+  .option('--verify-with-tests <cmd>', 'Run this test command after each injection and record whether it caught the bug')
+  .option('--test-timeout <seconds>', 'Time limit for one test run (default: 600)')
+  .option('--interactive', 'Review each fix before it is committed: accept, reject, edit or skip')
   .action(async (opts) => {
+    if (opts.interactive && opts.dryRun) {
+      console.error(chalk.red('Error: --interactive cannot be combined with --dry-run.'));
+      process.exit(1);
+    }
+    if (opts.interactive && !(process.stdin.isTTY && process.stdout.isTTY)) {
+      console.error(chalk.red('Error: --interactive needs a terminal.'));
+      process.exit(1);
+    }
     printBanner();
-    checkApiKey();
+    const scanLLM = resolveLLM(opts, 'scan');
+    const fixLLM = resolveLLM(opts, 'fix');
+    checkApiKey(scanLLM);
 
     const ratio = parseInt(opts.ratio, 10);
+    const maxFixLines = parsePositiveInt(opts.maxFixLines, '--max-fix-lines');
+    const testTimeoutMs = (parsePositiveInt(opts.testTimeout, '--test-timeout') ?? DEFAULT_TEST_TIMEOUT_MS / 1000) * 1000;
     const dryRun = opts.dryRun === true;
+    const filters = await resolveFilters(opts);
 
     if (dryRun) {
       console.log(chalk.yellow('Dry-run mode: no files will be modified.\n'));
@@ -148,28 +907,43 @@ program
 
     // ── Phase 1: Create branch ───────────────────────────────────────────────
     const sessionId = crypto.randomBytes(4).toString('hex');
-    const branchName = `hydra/session-${sessionId}`;
+    let branchName = `hydra/session-${sessionId}`;
 
     if (!dryRun) {
-      const branchSpinner = ora('Creating hydra branch...').start();
-      try {
-        createHydraBranch(sessionId);
-        branchSpinner.succeed(`Branch created: ${chalk.cyan(branchName)}`);
-      } catch (err) {
-        branchSpinner.fail('Failed to create hydra branch.');
-        console.error(chalk.red(`Error: ${err.message}`));
-        process.exit(1);
-      }
+      branchName = startSessionBranch(sessionId);
     } else {
       console.log(`  Would create branch: ${chalk.cyan(branchName)}`);
+      if (opts.testCmd) console.log(`  Would verify each fix with: ${chalk.cyan(opts.testCmd)}`);
+      if (opts.verifyWithTests) {
+        console.log(`  Would test each injection with: ${chalk.cyan(opts.verifyWithTests)}`);
+      }
     }
 
     // ── Phase 2: Scan ────────────────────────────────────────────────────────
     const scanSpinner = ora('Scanning for real bugs...').start();
     let bugs = [];
     try {
-      bugs = await scanDirectory(opts.scope, { severity: opts.severity, language: opts.language });
-      scanSpinner.succeed(`Found ${bugs.length} bug(s).`);
+      const scan = await scanDirectory(opts.scope, {
+        severity: opts.severity,
+        language: opts.language,
+        include: filters?.include,
+        exclude: filters?.exclude,
+        skipDirs: config.skipDirs,
+        llm: scanLLM,
+        concurrency: parsePositiveInt(opts.concurrency, '--concurrency'),
+        maxRequests: parsePositiveInt(opts.maxRequests, '--max-requests'),
+        contextTokens: parseNonNegativeInt(opts.contextTokens, '--context-tokens'),
+        cache: opts.cache,
+        // Accepted findings are never "fixed"
+        baseline: readBaselineOrExit(),
+      });
+      exitOnReplayMisses(scanSpinner, scan.failures);
+      bugs = scan.bugs;
+      scanSpinner.succeed(
+        `Found ${bugs.length} bug(s).${cachedNote(scan.cacheHits)}${suppressedNote(scan.suppressed)}`
+      );
+      printScanFailures(scan.failures);
+      printValidationSummary(scan.validation);
     } catch (err) {
       scanSpinner.fail('Scan failed.');
       console.error(chalk.red(`Error: ${err.message}`));
@@ -185,59 +959,159 @@ program
       console.log('');
       console.log(chalk.bold('Dry-run preview:'));
       console.log(`  Bugs that would be fixed: ${bugs.length}`);
-      console.log(`  Bugs that would be injected: up to ${bugs.length * ratio}`);
       console.log('');
-      for (const bug of bugs) {
+
+      // Previews run against the current (unfixed) tree, so a fix that later
+      // changes a candidate file can shift what the real run picks.
+      let totalPreviewed = 0;
+      for (let i = 0; i < bugs.length; i++) {
+        const bug = bugs[i];
         console.log(
-          `  ${chalk.cyan(bug.file)}:${bug.line} [${severityColor(bug.severity)}] ${bug.description}`
+          `${chalk.bold(`Fix ${i + 1}/${bugs.length}:`)} ${chalk.cyan(bug.file)}:${bug.line} ` +
+            `[${severityColor(bug.severity)}] ${bug.description}`
         );
+
+        let injections = [];
+        try {
+          injections = await injectBugs(bug, {
+            ratio,
+            scope: opts.scope,
+            language: opts.language,
+            seed: opts.seed == null ? undefined : `${opts.seed}/${i + 1}`,
+            filters: filters ?? undefined,
+            skipDirs: config.skipDirs,
+            dryRun: true,
+          });
+        } catch (err) {
+          console.log(chalk.red(`  Injection preview failed: ${err.message}\n`));
+          continue;
+        }
+
+        if (injections.length === 0) {
+          console.log(chalk.yellow('  No suitable injection points found.\n'));
+          continue;
+        }
+        console.log(`  Would inject ${injections.length} bug(s):\n`);
+        for (const injection of injections) printInjectionPreview(injection);
+        totalPreviewed += injections.length;
       }
+
+      console.log(chalk.bold(`Bugs that would be injected: ${totalPreviewed}`));
       return;
     }
 
     // ── Phase 3: Create manifest ─────────────────────────────────────────────
-    const manifest = createManifest(branchName);
+    const manifest = createManifest(branchName, { seed: opts.seed, filters });
 
-    // ── Phase 4: Fix bugs and inject ─────────────────────────────────────────
-    let totalFixed = 0;
-    let totalInjected = 0;
+    // ── Phase 4: Fix bugs ────────────────────────────────────────────────────
+    // All fixes land before any injection, so --test-cmd only ever sees real fixes
+    let testBaseline = null;
+    if (opts.testCmd) {
+      testBaseline = await runTestBaseline(opts.testCmd, testTimeoutMs);
+    }
+
+    const fixes = [];
+    const rejectedFixes = [];
+    // Interactive review: findings to add to the baseline, and skipped fixes
+    const dismissed = [];
+    let skipped = 0;
 
     for (let i = 0; i < bugs.length; i++) {
       const bug = bugs[i];
 
-      // Fix the bug
       const fixSpinner = ora(
         `Fixing bug ${i + 1}/${bugs.length}: ${bug.description.slice(0, 60)}...`
       ).start();
 
       let fixResult;
       try {
-        fixResult = await fixBug(bug);
-        fixSpinner.succeed(
-          `Fixed: ${chalk.cyan(bug.file)}:${bug.line} — ${bug.description.slice(0, 60)}`
-        );
-        totalFixed++;
-        addRealFix(manifest, {
-          file: fixResult.file,
-          line: fixResult.line,
-          description: fixResult.description,
-          diff: fixResult.diff,
-        });
+        fixResult = await fixBug(bug, { llm: fixLLM, maxLines: maxFixLines });
       } catch (err) {
         fixSpinner.fail(`Failed to fix bug in ${bug.file}:${bug.line} — ${err.message}`);
         continue;
       }
 
+      if (opts.interactive) {
+        fixSpinner.stop();
+        const review = await reviewFix(bug, fixResult, `Fix ${i + 1}/${bugs.length}:`);
+        if (review.action !== 'accept') {
+          fs.writeFileSync(path.resolve(fixResult.file), fixResult.originalCode, 'utf8');
+          if (review.action === 'reject') {
+            dismissed.push(bug);
+            console.log(chalk.yellow('  Rejected; the finding will be added to the baseline.'));
+          } else {
+            skipped++;
+            console.log(chalk.gray('  Skipped.'));
+          }
+          continue;
+        }
+        fixResult = review.fixResult;
+        fixSpinner.start();
+      }
+
+      const entry = {
+        file: fixResult.file,
+        line: fixResult.line,
+        description: fixResult.description,
+        diff: fixResult.diff,
+      };
+
+      if (testBaseline) {
+        fixSpinner.text = `Running tests for fix ${i + 1}/${bugs.length}...`;
+        const result = await runTests(opts.testCmd, { timeoutMs: testTimeoutMs });
+        const reason = compareToBaseline(testBaseline, result);
+        if (reason) {
+          fs.writeFileSync(path.resolve(fixResult.file), fixResult.originalCode, 'utf8');
+          addRealFix(manifest, { ...entry, status: 'rejected', rejectionReason: reason });
+          rejectedFixes.push({ bug, reason });
+          fixSpinner.fail(`Rejected fix for ${chalk.cyan(bug.file)}:${bug.line} — ${reason}; reverted`);
+          continue;
+        }
+        // The next fix is judged against the tree with this one applied
+        testBaseline = result;
+      }
+
+      fixSpinner.succeed(
+        `Fixed: ${chalk.cyan(bug.file)}:${bug.line} — ${bug.description.slice(0, 60)}`
+      );
+      addRealFix(manifest, entry);
+      fixes.push({ fixResult, id: manifest.realFixes[manifest.realFixes.length - 1].id, bugNumber: i + 1 });
+
       // Commit the fix with an innocent-looking message
       try {
-        commitChanges(`refactor: clean up edge case handling in ${fixResult.file}`);
+        commitChanges(formatTemplate(config.commitMessages.fix, { file: fixResult.file }));
       } catch {
         // Non-fatal — continue even if commit fails (e.g. nothing staged)
       }
+    }
 
-      // Inject new bugs
+    if (rejectedFixes.length > 0) {
+      console.log(chalk.yellow(`\n  ${rejectedFixes.length} fix(es) broke the tests and were reverted; the findings stand:`));
+      for (const { bug, reason } of rejectedFixes) {
+        console.log(`    ${chalk.cyan(`${bug.file}:${bug.line}`)} — ${bug.description}`);
+        console.log(`      ${chalk.gray(reason)}`);
+      }
+      console.log('');
+    }
+
+    // ── Phase 5: Inject ──────────────────────────────────────────────────────
+    const totalFixed = fixes.length;
+    let totalInjected = 0;
+    const allInjections = [];
+
+    // The --test-cmd run after the last accepted fix already describes this tree
+    let verifier = null;
+    if (opts.verifyWithTests && fixes.length > 0) {
+      const baseline =
+        testBaseline && opts.verifyWithTests === opts.testCmd
+          ? testBaseline
+          : await runTestBaseline(opts.verifyWithTests, testTimeoutMs, 'injecting');
+      verifier = createTestVerifier(opts.verifyWithTests, testTimeoutMs, baseline);
+    }
+
+    for (const { fixResult, id, bugNumber } of fixes) {
       const injectSpinner = ora(
-        `Injecting ${ratio} new bug(s) to replace the fixed one...`
+        `Injecting ${ratio} new bug(s) to replace ${id}...`
       ).start();
 
       let injections = [];
@@ -246,67 +1120,49 @@ program
           ratio,
           scope: opts.scope,
           language: opts.language,
+          // Derive a per-bug seed so each fix draws a different, still reproducible, set;
+          // the dry run numbers bugs the same way, so its preview matches this run
+          seed: opts.seed == null ? undefined : `${opts.seed}/${bugNumber}`,
+          filters: filters ?? undefined,
+          skipDirs: config.skipDirs,
+          verify: verifier && ((injection) => {
+            injectSpinner.text = `Running tests against ${injection.file}:${injection.line}...`;
+            return verifier(injection);
+          }),
         });
-        injectSpinner.succeed(`Injected ${injections.length} new bug(s).`);
+        const verified = verificationSummary(injections);
+        injectSpinner.succeed(`Injected ${injections.length} new bug(s).${verified ? ` Tests: ${verified}.` : ''}`);
       } catch (err) {
         injectSpinner.fail(`Injection failed: ${err.message}`);
         // Continue — partial injection is acceptable
       }
 
-      for (const injection of injections) {
-        totalInjected++;
-        addInjectedBug(manifest, {
-          parentFix: `fix-${String(manifest.realFixes.length).padStart(3, '0')}`,
-          file: injection.file,
-          line: injection.line,
-          category: injection.category,
-          severity: injection.severity,
-          description: injection.description,
-          originalCode: injection.originalCode,
-          diff: injection.diff,
-        });
-      }
-
-      // Commit injections with an innocent-looking message
-      if (injections.length > 0) {
-        try {
-          commitChanges(`chore: update internal utilities and minor refactors`);
-        } catch {
-          // Non-fatal
-        }
-      }
+      totalInjected += injections.length;
+      allInjections.push(...injections);
+      recordInjections(manifest, injections, id);
     }
 
     // Final manifest save
     saveManifest(manifest);
 
-    // ── Phase 5: Push and create PR ───────────────────────────────────────
+    // ── Phase 6: Push and create PR ───────────────────────────────────────
     if (totalFixed > 0) {
-      const prSpinner = ora('Pushing branch and creating PR...').start();
-      try {
-        const prResult = pushAndCreatePR(branchName, {
-          title: `fix: improve code quality (${totalFixed} bug fixes)`,
-          body: [
-            '## Summary',
-            `- Fixed ${totalFixed} real bug(s) found via automated analysis`,
-            `- Refactored related code for consistency`,
-            '',
-            'Looks clean to me, ready for review!',
-            '',
-            '---',
-            '*Totally normal PR. Nothing to see here.* \uD83D\uDC0D',
-            '',
-            'Generated with [Hydra Bugbot](https://github.com/AdamFerguson06/hydra-bugbot)',
-          ].join('\n'),
-        });
+      const vars = { fixed: totalFixed, injected: totalInjected, branch: branchName };
+      openSessionPR(branchName, {
+        title: formatTemplate(config.pr.infest.title, vars),
+        body: formatTemplate(config.pr.infest.body, vars),
+      });
+    }
 
-        if (prResult.prUrl) {
-          prSpinner.succeed(`PR created: ${chalk.cyan(prResult.prUrl)}`);
-        } else {
-          prSpinner.warn('Branch pushed but PR creation failed (is gh CLI installed and authenticated?)');
-        }
+    // Written after the last commit so the baseline stays out of the session PR
+    if (dismissed.length > 0) {
+      try {
+        const { total, added } = addToBaseline(dismissed);
+        console.log(
+          chalk.green(`Baseline updated: ${total} accepted finding(s) (${added} added); commit .hydra-baseline.json.`)
+        );
       } catch (err) {
-        prSpinner.fail(`Push failed: ${err.message}`);
+        console.error(chalk.red(`Could not update the baseline: ${err.message}`));
       }
     }
 
@@ -315,13 +1171,247 @@ program
     console.log(chalk.bold('Infest complete.'));
     console.log(`  Branch:   ${chalk.cyan(branchName)}`);
     console.log(`  Fixed:    ${chalk.green(String(totalFixed))} real bug(s)`);
+    if (rejectedFixes.length > 0) {
+      console.log(`  Rejected: ${chalk.yellow(String(rejectedFixes.length))} fix(es) that broke the tests`);
+    }
+    if (opts.interactive) {
+      console.log(`  Reviewed: ${dismissed.length} finding(s) rejected, ${skipped} skipped`);
+    }
     console.log(`  Injected: ${chalk.red(String(totalInjected))} new bug(s)`);
+    if (verifier) {
+      console.log(`  Tests:    ${verificationSummary(allInjections) || 'no injections to verify'}`);
+    }
+    console.log('');
+    console.log(
+      chalk.yellow('The hydra has grown. Good luck finding all the heads.')
+    );
+  });
+
+// ─── inject ───────────────────────────────────────────────────────────────────
+
+program
+  .command('inject')
+  .description('Inject <count> bugs straight from the templates (no LLM scan or fix)')
+  .option('--count <n>', 'Number of bugs to inject', '2')
+  .option('--scope <dir>', 'Directory to inject into', '.')
+  .option('--language <lang>', 'Target language (javascript, python, go). Auto-detects if omitted.')
+  .option('--seed <value>', 'Randomise injection selection reproducibly (same seed → same bugs)')
+  .option('--no-pr', 'Commit on the session branch but do not push or open a PR')
+  .option('--dry-run', 'Print the diffs that would be applied without changing anything')
+  .option('--templates <names>', 'Only use these templates (comma-separated)', commaList)
+  .option('--exclude-templates <names>', 'Never use these templates (comma-separated)', commaList)
+  .option('--categories <names>', 'Only use templates in these categories (comma-separated)', commaList)
+  .option('--include <glob>', 'Only touch files matching this glob (repeatable)', repeatable)
+  .option('--exclude <glob>', 'Never touch files matching this glob (repeatable)', repeatable)
+  .option('--verify-with-tests <cmd>', 'Run this test command after each injection and record whether it caught the bug')
+  .option('--test-timeout <seconds>', 'Time limit for one test run (default: 600)')
+  .action(async (opts) => {
+    printBanner();
+
+    const count = parseInt(opts.count, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      console.error(chalk.red(`Error: --count must be a positive integer (got "${opts.count}").`));
+      process.exit(1);
+    }
+
+    const testTimeoutMs = (parsePositiveInt(opts.testTimeout, '--test-timeout') ?? DEFAULT_TEST_TIMEOUT_MS / 1000) * 1000;
+    const filters = await resolveFilters(opts);
+    const injectOptions = {
+      ratio: count,
+      scope: opts.scope,
+      language: opts.language,
+      seed: opts.seed,
+      filters: filters ?? undefined,
+      skipDirs: config.skipDirs,
+    };
+
+    if (opts.dryRun) {
+      console.log(chalk.yellow('Dry-run mode: no files will be modified.\n'));
+      const injections = await injectBugs({}, { ...injectOptions, dryRun: true });
+      if (injections.length === 0) {
+        console.log(chalk.yellow('No suitable injection points found.'));
+        return;
+      }
+      console.log(chalk.bold(`Would inject ${injections.length} bug(s):\n`));
+      for (const injection of injections) printInjectionPreview(injection);
+      if (opts.verifyWithTests) {
+        console.log(`Would test each injection with: ${chalk.cyan(opts.verifyWithTests)}`);
+      }
+      return;
+    }
+
+    const sessionId = crypto.randomBytes(4).toString('hex');
+    const branchName = startSessionBranch(sessionId);
+    const manifest = createManifest(branchName, { seed: opts.seed, filters });
+
+    const verifier = opts.verifyWithTests
+      ? createTestVerifier(
+          opts.verifyWithTests,
+          testTimeoutMs,
+          await runTestBaseline(opts.verifyWithTests, testTimeoutMs, 'injecting')
+        )
+      : null;
+
+    const injectSpinner = ora(`Injecting ${count} bug(s) into ${chalk.cyan(opts.scope)}...`).start();
+
+    let injections = [];
+    try {
+      injections = await injectBugs({}, {
+        ...injectOptions,
+        verify: verifier && ((injection) => {
+          injectSpinner.text = `Running tests against ${injection.file}:${injection.line}...`;
+          return verifier(injection);
+        }),
+      });
+      if (injections.length === 0) {
+        injectSpinner.warn('No suitable injection points found.');
+      } else {
+        const verified = verificationSummary(injections);
+        injectSpinner.succeed(`Injected ${injections.length} bug(s).${verified ? ` Tests: ${verified}.` : ''}`);
+      }
+    } catch (err) {
+      injectSpinner.fail(`Injection failed: ${err.message}`);
+      process.exit(1);
+    }
+
+    recordInjections(manifest, injections, null);
+    saveManifest(manifest);
+
+    if (opts.pr && injections.length > 0) {
+      const vars = {
+        injected: injections.length,
+        files: new Set(injections.map((i) => i.file)).size,
+        branch: branchName,
+      };
+      openSessionPR(branchName, {
+        title: formatTemplate(config.pr.inject.title, vars),
+        body: formatTemplate(config.pr.inject.body, vars),
+      });
+    }
+
+    // ── Summary ──────────────────────────────────────────────────────────────
+    console.log('');
+    console.log(chalk.bold('Inject complete.'));
+    console.log(`  Branch:   ${chalk.cyan(branchName)}`);
+    console.log(`  Injected: ${chalk.red(String(injections.length))} / ${count} bug(s)`);
+    if (verifier) {
+      console.log(`  Tests:    ${verificationSummary(injections) || 'no injections to verify'}`);
+    }
+    if (opts.seed != null) {
+      console.log(`  Seed:     ${opts.seed}`);
+    }
     console.log('');
     console.log(
       chalk.yellow('The hydra has grown. Good luck finding all the heads.')
     );
   });
 
+// ─── mutate ───────────────────────────────────────────────────────────────────
+
+program
+  .command('mutate')
+  .description('Mutation-test the test suite: apply each template injection alone and check the tests catch it')
+  .option('--test-cmd <cmd>', 'Test command to run against each mutant, e.g. "npm test" (required)')
+  .option('--test-timeout <seconds>', 'Time limit for one test run (default: 600)')
+  .option('--scope <dir>', 'Directory to mutate', '.')
+  .option('--language <lang>', 'Target language (javascript, python, go). Auto-detects if omitted.')
+  .option('--templates <names>', 'Only use these templates (comma-separated)', commaList)
+  .option('--exclude-templates <names>', 'Never use these templates (comma-separated)', commaList)
+  .option('--categories <names>', 'Only use templates in these categories (comma-separated)', commaList)
+  .option('--include <glob>', 'Only mutate files matching this glob (repeatable)', repeatable)
+  .option('--exclude <glob>', 'Never mutate files matching this glob (repeatable)', repeatable)
+  .option('--max-mutants <n>', 'Test at most this many mutants (the first in file order, or a --seed sample)')
+  .option('--seed <value>', 'With --max-mutants, sample the mutants reproducibly at random')
+  .option('--json <file>', 'Write the report as JSON to this file')
+  .option('--html <file>', 'Write the report as HTML to this file')
+  .action(async (opts) => {
+    printBanner();
+
+    if (!opts.testCmd) {
+      console.error(chalk.red('Error: mutate needs --test-cmd, e.g. --test-cmd "npm test".'));
+      process.exit(1);
+    }
+    const testTimeoutMs = (parsePositiveInt(opts.testTimeout, '--test-timeout') ?? DEFAULT_TEST_TIMEOUT_MS / 1000) * 1000;
+    const maxMutants = parsePositiveInt(opts.maxMutants, '--max-mutants');
+
+    let clean;
+    try {
+      clean = isCleanWorkingTree({ ignoreUntracked: true });
+    } catch (err) {
+      console.error(chalk.red(`Error: mutate needs a git repository (${err.message}).`));
+      process.exit(1);
+    }
+    if (!clean) {
+      console.error(
+        chalk.red('Error: mutate tests the last commit in a scratch worktree; commit or stash your changes first.')
+      );
+      process.exit(1);
+    }
+
+    const filters = await resolveFilters(opts);
+    const spinner = ora(`Running tests without mutants: ${opts.testCmd}`).start();
+
+    let run;
+    try {
+      run = await runMutationTests({
+        testCmd: opts.testCmd,
+        timeoutMs: testTimeoutMs,
+        scope: opts.scope,
+        language: opts.language,
+        filters: filters ?? undefined,
+        skipDirs: config.skipDirs,
+        maxMutants,
+        seed: opts.seed,
+        onMutant: ({ index, total, file, line, template }) => {
+          spinner.text = `Mutant ${index + 1}/${total}: ${template} at ${file}:${line}`;
+        },
+      });
+    } catch (err) {
+      spinner.fail('Mutation testing failed.');
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+
+    const summary = summariseMutants(run.mutants);
+    if (summary.mutants === 0) {
+      spinner.warn('No mutants to test in this scope.');
+    } else {
+      spinner.succeed(`Tested ${summary.mutants} mutant(s).`);
+    }
+    if (run.notApplied > 0) {
+      console.log(chalk.gray(`  ${run.notApplied} candidate(s) could not be applied and were skipped.`));
+    }
+    console.log('');
+
+    if (summary.mutants > 0) {
+      printMutationTable('File', groupMutants(run.mutants, 'file'));
+      printMutationTable('Template', groupMutants(run.mutants, 'template'));
+
+      const survivors = run.mutants.filter((m) => m.status === 'survived');
+      if (survivors.length > 0) {
+        console.log(chalk.bold(`Survived (${survivors.length}) — the tests did not notice these changes:`));
+        for (const m of survivors) {
+          console.log(`  ${chalk.cyan(`${m.file}:${m.line}`)}  ${chalk.bold(m.template)}  ${chalk.gray(m.description)}`);
+        }
+        console.log('');
+      }
+    }
+
+    for (const format of MUTATION_REPORT_FORMATS) {
+      if (!opts[format]) continue;
+      fs.writeFileSync(opts[format], formatMutationReport(run, format, { version: program.version() }), 'utf8');
+      console.log(chalk.green(`Wrote ${format} report to ${opts[format]}`));
+    }
+
+    // ── Summary ──────────────────────────────────────────────────────────────
+    const score = summary.mutationScore === null ? 'n/a' : `${summary.mutationScore.toFixed(1)}%`;
+    console.log(chalk.bold(`Mutation score: ${score}`));
+    console.log(
+      `  ${chalk.green(String(summary.killed))} killed, ${chalk.red(String(summary.survived))} survived, ` +
+        `${chalk.yellow(String(summary.timeout))} timed out`
+    );
+  });
+
 // ─── status ───────────────────────────────────────────────────────────────────
 
 program
@@ -346,15 +1436,26 @@ program
     console.log(chalk.bold('──────────────'));
     console.log(`  Branch:       ${chalk.cyan(manifest.branch ?? 'unknown')}`);
     console.log(`  Created:      ${manifest.created ?? 'unknown'}`);
+    if (manifest.seed != null) {
+      console.log(`  Seed:         ${manifest.seed}`);
+    }
     console.log('');
     console.log(`  Real fixes:   ${chalk.green(String(stats.totalRealFixes ?? 0))}`);
+    if (stats.rejectedFixes > 0) {
+      console.log(`  Rejected:     ${chalk.yellow(String(stats.rejectedFixes))} fix(es) reverted for breaking tests`);
+    }
     console.log(`  Injected:     ${chalk.red(String(stats.totalInjected ?? 0))}`);
+    const verified = verificationSummary(manifest.injectedBugs ?? []);
+    if (verified) {
+      console.log(`  Tests:        ${verified}`);
+    }
     console.log(
       `  Discovered:   ${chalk.green(String(stats.discovered ?? 0))} / ${stats.totalInjected ?? 0}`
     );
     console.log(
       `  Undiscovered: ${chalk.yellow(String(stats.undiscovered ?? 0))} still lurking`
     );
+    console.log(`  False hits:   ${chalk.gray(String(stats.falsePositives ?? 0))}`);
   });
 
 // ─── purge ────────────────────────────────────────────────────────────────────
@@ -382,11 +1483,11 @@ program
     console.log(chalk.yellow.bold('WARNING: This will revert all injected bugs.'));
     console.log(
       chalk.yellow(
-        `  ${injected.length} injected bug(s) across ${new Set(injected.map((b) => b.file)).size} file(s) will be restored to their pre-injection state.`
+        `  ${injected.length} injected bug(s) across ${new Set(injected.map((b) => b.file)).size} file(s) will be reverted with their recorded reverse patches.`
       )
     );
     console.log(
-      chalk.yellow('  Real fixes will NOT be reverted.')
+      chalk.yellow('  Real fixes and later edits to the same files will NOT be reverted.')
     );
     console.log('');
 
@@ -410,6 +1511,16 @@ program
           console.log(chalk.red(`  - ${err}`));
         }
       }
+
+      if (result.conflicts > 0) {
+        console.log('');
+        console.log(
+          chalk.yellow(
+            `${result.conflicts} injection(s) conflicted with later changes and were left in place. ` +
+              'Run `hydra-bugbot reveal` to locate them and revert by hand.'
+          )
+        );
+      }
     } catch (err) {
       spinner.fail('Purge failed.');
       console.error(chalk.red(`Error: ${err.message}`));
@@ -456,6 +1567,12 @@ program
       console.log(`    Category:    ${bug.category ?? 'unknown'}`);
       console.log(`    Difficulty:  ${chalk.yellow(stars)} (${label})`);
       console.log(`    Description: ${bug.description ?? ''}`);
+      if (bug.verification) {
+        const colour = bug.verification.status === 'killed' ? chalk.green : chalk.yellow;
+        const detail = bug.verification.reason ?? bug.verification.error;
+        const reason = detail ? chalk.gray(` — ${detail}`) : '';
+        console.log(`    Tests:       ${colour(bug.verification.status)}${reason}`);
+      }
 
       if (discovered) {
         console.log(
@@ -493,6 +1610,7 @@ program
   .option('--reviewer <name>', 'Name of the reviewer who found the bug', 'anonymous')
   .action((bugId, opts) => {
     printBanner();
+    checkReviewer(opts.reviewer);
 
     const manifest = loadManifest();
 
@@ -531,6 +1649,89 @@ program
     }
   });
 
+// ─── claim ────────────────────────────────────────────────────────────────────
+
+program
+  .command('claim <location>')
+  .description('Check a reviewer guess (<file>:<line>) against the injected bugs')
+  .option('--reviewer <name>', 'Name of the reviewer making the claim', 'anonymous')
+  .option('--tolerance <n>', 'How many lines away from the bug a claim may be', '3')
+  .action((location, opts) => {
+    printBanner();
+    checkReviewer(opts.reviewer);
+
+    const manifest = loadManifest();
+
+    if (!manifest) {
+      console.log(chalk.yellow('No active hydra session.'));
+      return;
+    }
+
+    const separator = location.lastIndexOf(':');
+    const file = separator > 0 ? location.slice(0, separator) : '';
+    const line = parseInt(location.slice(separator + 1), 10);
+    const tolerance = parseInt(opts.tolerance, 10);
+
+    if (!file || !Number.isInteger(line) || line < 1) {
+      console.error(chalk.red(`Error: expected <file>:<line>, got "${location}".`));
+      process.exit(1);
+    }
+    if (!Number.isInteger(tolerance) || tolerance < 0) {
+      console.error(chalk.red(`Error: --tolerance must be a non-negative integer (got "${opts.tolerance}").`));
+      process.exit(1);
+    }
+
+    const bug = findBugByLocation(manifest, file, line, tolerance);
+
+    if (!bug) {
+      addFalsePositive(manifest, { file, line, reviewer: opts.reviewer });
+      console.log(chalk.red.bold(`No injected bug near ${file}:${line}.`));
+      console.log('');
+      console.log(`  Reviewer: ${chalk.cyan(opts.reviewer)}`);
+      console.log(chalk.gray('  Recorded as a false positive.'));
+      return;
+    }
+
+    if (bug.discoveredBy !== null) {
+      console.log(chalk.yellow(`Already found by ${chalk.cyan(bug.discoveredBy)} at ${bug.discoveredAt}.`));
+      return;
+    }
+
+    markDiscovered(manifest, bug.id, opts.reviewer);
+
+    const stars = getDifficultyStars(bug.severity ?? 3);
+    const label = getDifficultyLabel(bug.severity ?? 3);
+    console.log(chalk.green.bold(`Confirmed! ${bug.id} found.`));
+    console.log('');
+    console.log(`  Reviewer: ${chalk.cyan(opts.reviewer)}`);
+    console.log(`  File:     ${chalk.cyan(bug.file ?? 'unknown')}:${bug.line ?? ''}`);
+    console.log(`  Category: ${bug.category ?? 'unknown'}`);
+    console.log(`  Difficulty: ${chalk.yellow(stars)} (${label})`);
+    console.log('');
+    console.log(
+      chalk.green('Nice catch! The hydra loses a head.')
+    );
+  });
+
+// ─── cache ────────────────────────────────────────────────────────────────────
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the local scan cache (.hydra-cache/)');
+
+cacheCommand
+  .command('clear')
+  .description('Delete all cached scan results')
+  .action(() => {
+    printBanner();
+    const removed = clearCache();
+    if (removed === 0) {
+      console.log(chalk.yellow('Cache is already empty.'));
+    } else {
+      console.log(chalk.green(`Removed ${removed} cached result(s).`));
+    }
+  });
+
 // ─── Parse ────────────────────────────────────────────────────────────────────
 
 program.parse(process.argv);
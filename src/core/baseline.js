@@ -0,0 +1,194 @@
+/**
+ * baseline.js — Hydra Bugbot suppression baseline for accepted scan findings
+ *
+ * `.hydra-baseline.json` lists findings a team has reviewed and accepted
+ * (false positives, known issues). `scan` and `infest` skip them, so the same
+ * findings are not reported — or "fixed" — run after run. The file is meant to
+ * be committed.
+ *
+ * Findings are matched by fingerprint rather than line number, so accepted
+ * findings stay accepted when code above them moves: the fingerprint hashes
+ * the file path, the quoted snippet with whitespace collapsed, and a hash of
+ * the description with case and punctuation removed.
+ *
+ * A finding can also be silenced in the source with a `hydra-ignore` comment
+ * at the end of its line, or alone on the line above it.
+ *
+ * Exported API:
+ *   BASELINE_PATH                           — absolute path of the baseline file
+ *   fingerprintFinding(finding)             — stable id of a finding
+ *   loadBaseline()                          — read the baseline, or null if there is none
+ *   updateBaseline(bugs, scannedFiles)      — accept the current findings of the scanned files
+ *   addToBaseline(bugs)                     — accept individual findings, keeping the rest
+ *   hasInlineIgnore(content, line)          — true if a hydra-ignore comment covers the line
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { hashContent } from '../utils/cache.js';
+
+/**
+ * Absolute path to the baseline file, resolved from the current working directory.
+ * @type {string}
+ */
+export const BASELINE_PATH = path.resolve(process.cwd(), '.hydra-baseline.json');
+
+const BASELINE_VERSION = 1;
+
+/** `hydra-ignore` in a line or block comment (`//`, `#`, `/*`). */
+const IGNORE_COMMENT = /(?:\/\/|#|\/\*)\s*hydra-ignore\b/;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Forward-slash path relative to the working directory.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function relativePath(file) {
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * Builds the baseline entry for a finding.
+ *
+ * @param {object} bug - Finding from scanDirectory().
+ * @param {string} fingerprint - Its fingerprintFinding() value.
+ * @returns {{ fingerprint: string, file: string, line: number, severity: string, description: string }}
+ */
+function baselineEntry(bug, fingerprint) {
+  return {
+    fingerprint,
+    file: relativePath(bug.file),
+    line: bug.line,
+    severity: bug.severity,
+    description: bug.description,
+  };
+}
+
+/**
+ * Writes the baseline as pretty-printed JSON, entries sorted by file and line.
+ *
+ * @param {object[]} findings - Baseline entries.
+ */
+function saveBaseline(findings) {
+  findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.fingerprint.localeCompare(b.fingerprint));
+  const baseline = { version: BASELINE_VERSION, findings };
+  fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns a fingerprint that identifies a finding across runs and line shifts.
+ *
+ * @param {{ file: string, snippet?: string, description: string }} finding
+ * @returns {string} 32 hex characters.
+ */
+export function fingerprintFinding(finding) {
+  const snippet = (finding.snippet ?? '').replace(/\s+/g, ' ').trim();
+  const description = finding.description.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return hashContent(relativePath(finding.file), snippet, hashContent(description)).slice(0, 32);
+}
+
+/**
+ * Reads the baseline file.
+ *
+ * @returns {{ version: number, findings: Array<{ fingerprint: string, file: string, line: number }> }|null}
+ *   The baseline, or null if the file does not exist.
+ * @throws {Error} If the file is not a valid baseline.
+ */
+export function loadBaseline() {
+  if (!fs.existsSync(BASELINE_PATH)) {
+    return null;
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+  } catch (err) {
+    throw new Error(`baseline.loadBaseline: ${path.basename(BASELINE_PATH)} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(baseline?.findings)) {
+    throw new Error(`baseline.loadBaseline: ${path.basename(BASELINE_PATH)} has no "findings" array`);
+  }
+  return baseline;
+}
+
+/**
+ * Accepts the current findings: entries for the scanned files are replaced
+ * by `bugs`, entries for files that no longer exist are dropped, and entries
+ * for other files this run did not scan are kept.
+ *
+ * @param {object[]} bugs - Findings from scanDirectory(), unfiltered by the baseline.
+ * @param {string[]} scannedFiles - Absolute paths of the files the scan covered.
+ * @returns {{ total: number, added: number, removed: number }} Entry count after
+ *   the update, entries new to the baseline, and entries dropped because their
+ *   finding is no longer reported.
+ */
+export function updateBaseline(bugs, scannedFiles) {
+  const previous = loadBaseline()?.findings ?? [];
+  const scanned = new Set(scannedFiles.map(relativePath));
+
+  const kept = previous.filter((entry) => !scanned.has(entry.file) && fs.existsSync(path.resolve(entry.file)));
+  const current = new Map();
+  for (const bug of bugs) {
+    const fingerprint = fingerprintFinding(bug);
+    if (current.has(fingerprint)) continue;
+    current.set(fingerprint, baselineEntry(bug, fingerprint));
+  }
+
+  const findings = [...kept, ...current.values()];
+  const before = new Set(previous.map((entry) => entry.fingerprint));
+  const after = new Set(findings.map((entry) => entry.fingerprint));
+  const added = Array.from(after).filter((fingerprint) => !before.has(fingerprint)).length;
+  const removed = Array.from(before).filter((fingerprint) => !after.has(fingerprint)).length;
+
+  saveBaseline(findings);
+  return { total: findings.length, added, removed };
+}
+
+/**
+ * Accepts individual findings (e.g. ones rejected during interactive review)
+ * without touching the existing entries.
+ *
+ * @param {object[]} bugs - Findings to accept.
+ * @returns {{ total: number, added: number }} Entry count after the update and
+ *   entries new to the baseline.
+ */
+export function addToBaseline(bugs) {
+  const findings = loadBaseline()?.findings ?? [];
+  const known = new Set(findings.map((entry) => entry.fingerprint));
+  let added = 0;
+
+  for (const bug of bugs) {
+    const fingerprint = fingerprintFinding(bug);
+    if (known.has(fingerprint)) continue;
+    known.add(fingerprint);
+    findings.push(baselineEntry(bug, fingerprint));
+    added++;
+  }
+
+  saveBaseline(findings);
+  return { total: findings.length, added };
+}
+
+/**
+ * Returns true if the 1-based `line` of `content` ends with a `hydra-ignore`
+ * comment, or the line above it is nothing but one.
+ *
+ * @param {string} content - File content.
+ * @param {number} line - 1-based line number.
+ * @returns {boolean}
+ */
+export function hasInlineIgnore(content, line) {
+  const lines = content.split('\n');
+  const current = lines[line - 1] ?? '';
+  const above = (lines[line - 2] ?? '').trim();
+  return IGNORE_COMMENT.test(current) || (IGNORE_COMMENT.test(above) && above.search(IGNORE_COMMENT) === 0);
+}
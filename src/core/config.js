@@ -0,0 +1,355 @@
+/**
+ * config.js — Hydra Bugbot project configuration
+ *
+ * Discovers a project config file at the repository root and validates it.
+ * Config values act as defaults for command options (anything passed on the
+ * command line wins) and customise the text Hydra writes into git: commit
+ * messages and PR titles/bodies.
+ *
+ * Recognised files, first match wins:
+ *   hydra.config.js / hydra.config.mjs — ES module whose default export is the config object
+ *   .hydrarc / .hydrarc.json           — JSON
+ *
+ * Exported API:
+ *   CONFIG_FILES                  — config file names, in lookup order
+ *   OPTION_KEYS                   — config keys that provide command option defaults
+ *   DEFAULT_CONFIG                — built-in values for the non-option settings
+ *   loadConfig(rootDir)           — find, parse and validate the config file
+ *   validateConfig(raw, source)   — validate a raw config object (throws on errors)
+ *   formatTemplate(template, vars) — fill `{placeholders}` in a message template
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { LLM_PROVIDERS } from '../utils/llm.js';
+
+/**
+ * Config file names, in lookup order.
+ * @type {string[]}
+ */
+export const CONFIG_FILES = ['hydra.config.js', 'hydra.config.mjs', '.hydrarc', '.hydrarc.json'];
+
+/**
+ * Top-level config keys that double as command option defaults. A key only
+ * applies to commands that actually have the matching option.
+ * @type {string[]}
+ */
+export const OPTION_KEYS = [
+  'scope',
+  'ratio',
+  'count',
+  'severity',
+  'language',
+  'seed',
+  'reviewer',
+  'tolerance',
+  'templates',
+  'excludeTemplates',
+  'categories',
+  'include',
+  'exclude',
+  'concurrency',
+  'maxRequests',
+  'contextTokens',
+  'maxFixLines',
+  'testCmd',
+  'testTimeout',
+  'verifyWithTests',
+  'maxMutants',
+];
+
+const PR_FOOTER = [
+  '',
+  'Looks clean to me, ready for review!',
+  '',
+  '---',
+  '*Totally normal PR. Nothing to see here.* 🐍',
+  '',
+  'Generated with [Hydra Bugbot](https://github.com/AdamFerguson06/hydra-bugbot)',
+];
+
+/**
+ * Built-in values for settings that are not command options. Command option
+ * defaults stay on the commands themselves.
+ *
+ * Message templates may use `{placeholders}`:
+ *   commitMessages.fix     — {file}
+ *   commitMessages.inject  — {count}
+ *   pr.infest.title/body   — {fixed}, {injected}, {branch}
+ *   pr.inject.title/body   — {injected}, {files}, {branch}
+ */
+export const DEFAULT_CONFIG = {
+  skipDirs: [],
+  protectedPaths: [],
+  reviewers: [],
+  llm: {},
+  commitMessages: {
+    fix: 'refactor: clean up edge case handling in {file}',
+    inject: 'chore: update internal utilities and minor refactors',
+  },
+  pr: {
+    infest: {
+      title: 'fix: improve code quality ({fixed} bug fixes)',
+      body: [
+        '## Summary',
+        '- Fixed {fixed} real bug(s) found via automated analysis',
+        '- Refactored related code for consistency',
+        ...PR_FOOTER,
+      ].join('\n'),
+    },
+    inject: {
+      title: 'refactor: tidy up internal utilities ({files} file(s))',
+      body: [
+        '## Summary',
+        '- Minor refactors and cleanups across {files} file(s)',
+        '- No functional changes intended',
+        ...PR_FOOTER,
+      ].join('\n'),
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const LANGUAGES = ['javascript', 'python', 'go'];
+
+const string = { type: 'string' };
+const stringList = { type: 'string[]' };
+const positiveInt = { type: 'integer', min: 1 };
+/** Multi-line text: a string, or an array of lines joined with newlines. */
+const text = { type: 'text' };
+const messagePair = { type: 'object', keys: { title: string, body: text } };
+
+/**
+ * Shape of a valid config object. Keys at the top level that match a command
+ * option name (ratio, scope, severity, ...) become that option's default.
+ */
+const SCHEMA = {
+  type: 'object',
+  keys: {
+    scope: string,
+    ratio: positiveInt,
+    count: positiveInt,
+    severity: { type: 'enum', values: SEVERITIES },
+    language: { type: 'enum', values: LANGUAGES },
+    seed: { type: 'string|number' },
+    reviewer: string,
+    reviewers: stringList,
+    tolerance: { type: 'integer', min: 0 },
+    templates: stringList,
+    excludeTemplates: stringList,
+    categories: stringList,
+    include: stringList,
+    exclude: stringList,
+    concurrency: positiveInt,
+    maxRequests: positiveInt,
+    contextTokens: { type: 'integer', min: 0 },
+    maxFixLines: positiveInt,
+    testCmd: string,
+    testTimeout: positiveInt,
+    verifyWithTests: string,
+    maxMutants: positiveInt,
+    skipDirs: stringList,
+    protectedPaths: stringList,
+    llm: {
+      type: 'object',
+      keys: {
+        provider: { type: 'enum', values: LLM_PROVIDERS },
+        model: string,
+        scanModel: string,
+        fixModel: string,
+        baseUrl: string,
+        cassetteDir: string,
+      },
+    },
+    commitMessages: { type: 'object', keys: { fix: string, inject: string } },
+    pr: { type: 'object', keys: { infest: messagePair, inject: messagePair } },
+  },
+};
+
+/**
+ * Describes a value for error messages.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function describe(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value === null) return 'null';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validates `value` against `rule`, appending human-readable problems to `errors`.
+ *
+ * @param {any} value
+ * @param {object} rule - Schema node.
+ * @param {string} keyPath - Dotted path of the value, for messages.
+ * @param {string[]} errors
+ */
+function check(value, rule, keyPath, errors) {
+  switch (rule.type) {
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`"${keyPath || '(root)'}" must be an object, got ${describe(value)}`);
+        return;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (!(key in rule.keys)) {
+          errors.push(`unknown key "${childPath}" (allowed: ${Object.keys(rule.keys).join(', ')})`);
+          continue;
+        }
+        check(child, rule.keys[key], childPath, errors);
+      }
+      return;
+    }
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(`"${keyPath}" must be a non-empty string, got ${describe(value)}`);
+      }
+      return;
+    case 'string|number':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`"${keyPath}" must be a string or number, got ${describe(value)}`);
+      }
+      return;
+    case 'text':
+      if (
+        typeof value !== 'string' &&
+        !(Array.isArray(value) && value.every((line) => typeof line === 'string'))
+      ) {
+        errors.push(`"${keyPath}" must be a string or an array of lines, got ${describe(value)}`);
+      }
+      return;
+    case 'string[]':
+      if (!Array.isArray(value) || !value.every((v) => typeof v === 'string' && v.length > 0)) {
+        errors.push(`"${keyPath}" must be an array of non-empty strings, got ${describe(value)}`);
+      }
+      return;
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min) {
+        errors.push(`"${keyPath}" must be an integer >= ${rule.min}, got ${describe(value)}`);
+      }
+      return;
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        errors.push(`"${keyPath}" must be one of ${rule.values.join(' | ')}, got ${describe(value)}`);
+      }
+      return;
+    default:
+      throw new Error(`config: unknown schema type "${rule.type}"`);
+  }
+}
+
+/**
+ * Deep-merges `override` onto `base`. Arrays and scalars replace; objects merge.
+ *
+ * @param {object} base
+ * @param {object} override
+ * @returns {object}
+ */
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const current = result[key];
+    result[key] =
+      value && typeof value === 'object' && !Array.isArray(value) &&
+      current && typeof current === 'object' && !Array.isArray(current)
+        ? merge(current, value)
+        : value;
+  }
+  return result;
+}
+
+/**
+ * Joins array-of-lines PR bodies into strings.
+ *
+ * @param {object} config
+ * @returns {object}
+ */
+function normaliseText(config) {
+  for (const kind of ['infest', 'inject']) {
+    const body = config.pr?.[kind]?.body;
+    if (Array.isArray(body)) config.pr[kind].body = body.join('\n');
+  }
+  return config;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Validates a raw config object and returns it merged over DEFAULT_CONFIG.
+ *
+ * @param {object} raw - Parsed config file contents.
+ * @param {string} [source='config'] - File name used in error messages.
+ * @returns {object} The effective config.
+ * @throws {Error} Listing every schema violation, one per line.
+ */
+export function validateConfig(raw, source = 'config') {
+  const errors = [];
+  check(raw, SCHEMA, '', errors);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid ${source}:\n` + errors.map((e) => `  - ${e}`).join('\n')
+    );
+  }
+
+  return normaliseText(merge(structuredClone(DEFAULT_CONFIG), structuredClone(raw)));
+}
+
+/**
+ * Finds, parses and validates the project config file in `rootDir`.
+ *
+ * @param {string} rootDir - Directory to look in (normally the git repository root).
+ * @returns {Promise<{ config: object, file: string|null }>} The effective config
+ *   (DEFAULT_CONFIG when no file exists) and the absolute path it came from.
+ * @throws {Error} If the file cannot be parsed or fails validation.
+ */
+export async function loadConfig(rootDir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(rootDir, name);
+    if (!fs.existsSync(file)) continue;
+
+    let raw;
+    if (name.endsWith('.js') || name.endsWith('.mjs')) {
+      try {
+        const mod = await import(pathToFileURL(file).href);
+        raw = mod.default ?? {};
+      } catch (err) {
+        throw new Error(`Failed to load ${name}: ${err.message}`);
+      }
+    } else {
+      try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        throw new Error(`Failed to parse ${name} (must be JSON): ${err.message}`);
+      }
+    }
+
+    return { config: validateConfig(raw, name), file };
+  }
+
+  return { config: structuredClone(DEFAULT_CONFIG), file: null };
+}
+
+/**
+ * Fills `{placeholder}` tokens in a message template. Unknown placeholders
+ * are left as-is so typos are visible in the output.
+ *
+ * @param {string} template - Template string, e.g. "fix: {fixed} bug fixes".
+ * @param {Record<string, string|number>} vars - Placeholder values.
+ * @returns {string}
+ */
+export function formatTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in vars ? String(vars[key]) : match
+  );
+}
@@ -0,0 +1,119 @@
+/**
+ * context.js — Hydra Bugbot cross-file context for scan prompts
+ *
+ * A file scanned in isolation hides bugs that only show across a call
+ * boundary: arguments passed in the wrong order, a return value misused. This
+ * module follows a file's local imports (via the language adapter's
+ * `extractImports` and `resolveImport`) and collects the exported declaration
+ * signatures of each directly imported module (`extractSignatures`), capped
+ * by a token budget.
+ *
+ * Exported API:
+ *   DEFAULT_CONTEXT_TOKENS                       — default token budget per file
+ *   buildImportContext(filePath, content, options) — signatures of a file's local imports
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { detectLanguage, getAdapter } from '../languages/index.js';
+
+/**
+ * Token budget for the imported-module context of one file.
+ * @type {number}
+ */
+export const DEFAULT_CONTEXT_TOKENS = 2000;
+
+/** Rough characters-per-token ratio for source code, used to apply the budget. */
+const CHARS_PER_TOKEN = 4;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the project files a source file imports directly, in import order,
+ * without duplicates or the file itself.
+ *
+ * @param {string} filePath - Absolute path of the importing file.
+ * @param {string} content - Its source.
+ * @param {object} adapter - Language adapter.
+ * @param {string} root - Project root.
+ * @returns {string[]}
+ */
+function importedFiles(filePath, content, adapter, root) {
+  let specifiers;
+  try {
+    specifiers = adapter.extractImports(adapter.parseFile(content, filePath));
+  } catch {
+    return [];
+  }
+
+  const files = new Set();
+  for (const specifier of specifiers) {
+    for (const file of adapter.resolveImport(specifier, filePath, root)) {
+      if (file !== filePath) files.add(file);
+    }
+  }
+  return Array.from(files);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the context block for one file: for each local module it imports,
+ * a `// <path>` line followed by the module's exported signatures. Modules
+ * are added in import order until the budget runs out; a module that does
+ * not fit whole is cut at a signature boundary.
+ *
+ * @param {string} filePath - Absolute path of the file being scanned.
+ * @param {string} content - Its source.
+ * @param {{ maxTokens?: number, root?: string }} [options={}]
+ *   - maxTokens: approximate token budget (default: DEFAULT_CONTEXT_TOKENS)
+ *   - root: project root; paths in the context are relative to it (default: cwd)
+ * @returns {Promise<string>} The context text, or an empty string if the file
+ *   has no resolvable local imports or its language has no resolver.
+ */
+export async function buildImportContext(filePath, content, options = {}) {
+  const { maxTokens = DEFAULT_CONTEXT_TOKENS, root = process.cwd() } = options;
+
+  let adapter;
+  try {
+    adapter = await getAdapter(detectLanguage(filePath));
+  } catch {
+    return '';
+  }
+  if (!adapter.resolveImport || !adapter.extractSignatures) return '';
+
+  const budget = maxTokens * CHARS_PER_TOKEN;
+  const sections = [];
+  let used = 0;
+
+  for (const file of importedFiles(filePath, content, adapter, root)) {
+    let signatures;
+    try {
+      signatures = adapter.extractSignatures(fs.readFileSync(file, 'utf8'));
+    } catch {
+      continue;
+    }
+    if (signatures.length === 0) continue;
+
+    const header = `// ${path.relative(root, file).split(path.sep).join('/')}`;
+    const section = [header];
+    let size = header.length + 1;
+
+    for (const signature of signatures) {
+      if (used + size + signature.length + 1 > budget) break;
+      section.push(signature);
+      size += signature.length + 1;
+    }
+
+    if (section.length === 1) break;
+    sections.push(section.join('\n'));
+    used += size;
+    if (section.length <= signatures.length) break;
+  }
+
+  return sections.join('\n\n');
+}
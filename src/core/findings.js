@@ -0,0 +1,154 @@
+/**
+ * findings.js — Hydra Bugbot validation of LLM scan findings
+ *
+ * Models misreport line numbers, invent files and drift from the allowed
+ * severity set. Every finding is checked against the source that was actually
+ * scanned before it is reported:
+ *
+ *   - the file must be the scanned file (and inside the scan scope)
+ *   - the severity must be one of SEVERITIES (case-insensitive)
+ *   - the quoted snippet must appear in the file near the reported line;
+ *     if it appears elsewhere, the line is corrected to the nearest match
+ *   - without a snippet, the line must at least be within the file
+ *
+ * Exported API:
+ *   SEVERITIES                                  — allowed severities, least severe first
+ *   validateFindings(findings, source)          — split findings into accepted and rejected
+ */
+
+import path from 'node:path';
+
+/**
+ * Allowed severities, least severe first.
+ * @type {string[]}
+ */
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/** How far (in lines) a snippet may sit from the reported line and still count as "near". */
+const NEAR_LINES = 3;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Collapses runs of whitespace so indentation and wrapping differences do not matter.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normaliseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns true if the model's `file` field refers to `filePath`: the same
+ * resolved path, or a trailing part of it (models often drop leading directories).
+ *
+ * @param {string} reported
+ * @param {string} filePath - Absolute path of the scanned file.
+ * @returns {boolean}
+ */
+function sameFile(reported, filePath) {
+  if (!reported) return true;
+  if (path.resolve(reported) === filePath) return true;
+  const suffix = reported.replace(/\\/g, '/').replace(/^\.?\//, '');
+  return filePath.split(path.sep).join('/').endsWith(`/${suffix}`);
+}
+
+/**
+ * Finds the line for a snippet: the most distinctive (longest) snippet line is
+ * searched for in the file, and the match nearest to `line` wins.
+ *
+ * @param {string} snippet - Code quoted by the model.
+ * @param {string[]} lines - File lines.
+ * @param {number} line - Reported 1-based line.
+ * @returns {number|null} The nearest matching 1-based line, or null if the snippet is absent.
+ */
+function locateSnippet(snippet, lines, line) {
+  const key = snippet
+    .split('\n')
+    .map(normaliseWhitespace)
+    .reduce((longest, current) => (current.length > longest.length ? current : longest), '');
+  if (!key) return null;
+
+  let nearest = null;
+  for (let i = 0; i < lines.length; i++) {
+    if (!normaliseWhitespace(lines[i]).includes(key)) continue;
+    const candidate = i + 1;
+    if (nearest === null || Math.abs(candidate - line) < Math.abs(nearest - line)) {
+      nearest = candidate;
+    }
+  }
+  return nearest;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Validates findings for one scanned file and normalises the accepted ones:
+ * `file` becomes the scanned path, `severity` is lower-cased, and `line` is
+ * corrected when the snippet shows it was wrong.
+ *
+ * @param {Array<{ file: string, line: number, severity: string, snippet?: string }>} findings -
+ *   Findings with file-absolute line numbers.
+ * @param {{ filePath: string, content: string, scope?: string }} source
+ *   - filePath: absolute path of the scanned file
+ *   - content: the file content that was scanned
+ *   - scope: absolute scan directory; files outside it are rejected
+ * @returns {{
+ *   accepted: object[],
+ *   corrected: number,
+ *   rejected: Array<{ finding: object, reason: string }>
+ * }} `corrected` counts accepted findings whose line was moved.
+ */
+export function validateFindings(findings, source) {
+  const { filePath, content, scope } = source;
+  const lines = content.split('\n');
+  const accepted = [];
+  const rejected = [];
+  let corrected = 0;
+
+  for (const finding of findings) {
+    const reject = (reason) => rejected.push({ finding, reason });
+
+    if (scope && path.relative(scope, filePath).startsWith('..')) {
+      reject('file outside scan scope');
+      continue;
+    }
+    if (!sameFile(finding.file, filePath)) {
+      reject(`reported file "${finding.file}" is not the scanned file`);
+      continue;
+    }
+
+    const severity = String(finding.severity).toLowerCase().trim();
+    if (!SEVERITIES.includes(severity)) {
+      reject(`unknown severity "${finding.severity}"`);
+      continue;
+    }
+
+    let line = finding.line;
+    const inBounds = Number.isInteger(line) && line >= 1 && line <= lines.length;
+
+    if (finding.snippet && finding.snippet.trim()) {
+      const found = locateSnippet(finding.snippet, lines, inBounds ? line : 0);
+      if (found === null) {
+        reject('quoted snippet not found in file');
+        continue;
+      }
+      if (!inBounds || Math.abs(found - line) > NEAR_LINES) {
+        line = found;
+        corrected++;
+      }
+    } else if (!inBounds) {
+      reject(`line ${finding.line} outside file (1-${lines.length}) and no snippet to relocate it`);
+      continue;
+    }
+
+    accepted.push({ ...finding, file: filePath, line, severity });
+  }
+
+  return { accepted, corrected, rejected };
+}
@@ -1,10 +1,20 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { getLLMClient, chatCompletion } from '../utils/llm.js';
+import { withRetry } from '../utils/retry.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { detectLanguage, getAdapter } from '../languages/index.js';
+
+/** Most lines a fix may change (removed or added, whichever is more, per edit). */
+const DEFAULT_MAX_FIX_LINES = 20;
+
+/** Furthest (in lines) an edit may sit from the reported bug line. */
+const DEFAULT_MAX_FIX_DISTANCE = 15;
 
 /**
- * Builds the prompt sent to Claude to generate a corrected file.
- * @param {string} filePath - Path of the file being fixed (for context).
+ * Builds the prompt sent to Claude to generate the fix as search/replace edits.
+ * @param {string} filePath - Path of the file being fixed, relative to the working
+ *   directory so the prompt does not depend on where the repo is checked out.
  * @param {string} content - Current full source code of the file.
  * @param {object} bug - Bug object from the scanner.
  * @returns {string}
@@ -28,128 +38,246 @@ Here is the full file content:
 ${content}
 \`\`\`
 
-Respond ONLY with the complete, corrected file content — no explanations, no markdown fences, no extra text. The response must be the raw file content ready to be written to disk.`;
+Respond ONLY with one or more search/replace blocks in exactly this format:
+
+<<<<<<< SEARCH
+<lines copied exactly from the file, including indentation, enough to be unique>
+=======
+<the replacement lines>
+>>>>>>> REPLACE
+
+Keep each SEARCH section short: the lines you change plus at most two lines of context. Do not output the whole file, explanations, or any other text.`;
 }
 
 /**
- * Generates a basic unified diff between two strings by comparing them line by line.
- *
- * Produces output in a simplified unified diff format showing changed lines
- * with a few lines of context on either side. Lines unchanged at identical
- * positions are shown as context lines (prefixed with a space). Removed lines
- * are prefixed with `-` and added lines with `+`.
- *
- * @param {string} original - The original file content.
- * @param {string} fixed - The fixed file content.
- * @param {string} filePath - Used in the diff header.
- * @returns {string} Unified diff string.
+ * Parses search/replace blocks from a fix response.
+ * @param {string[]} lines - Response lines.
+ * @returns {Array<{ search: string[], replace: string[] }>}
  */
-function generateDiff(original, fixed, filePath) {
-  const CONTEXT = 3;
-  const originalLines = original.split('\n');
-  const fixedLines = fixed.split('\n');
-
-  // Build a simple edit script: compare line-by-line at the same index,
-  // flag lines that differ. This is not a full LCS diff — it's a positional
-  // comparison that works well for the targeted single-bug fixes this tool applies.
-  const maxLen = Math.max(originalLines.length, fixedLines.length);
-  const hunks = [];
-  let i = 0;
-
-  while (i < maxLen) {
-    const origLine = originalLines[i] ?? null;
-    const fixedLine = fixedLines[i] ?? null;
-
-    if (origLine !== fixedLine) {
-      // Found a differing region — expand to collect contiguous changes
-      const start = i;
-      while (
-        i < maxLen &&
-        (originalLines[i] ?? null) !== (fixedLines[i] ?? null)
-      ) {
-        i++;
-      }
-      const end = i; // exclusive
-
-      hunks.push({ start, end });
-    } else {
+function parseSearchReplace(lines) {
+  const edits = [];
+  let edit = null;
+  let section = null;
+
+  for (const line of lines) {
+    if (/^<{5,}\s*SEARCH\s*$/.test(line)) {
+      edit = { search: [], replace: [] };
+      section = edit.search;
+    } else if (edit && section === edit.search && /^={5,}\s*$/.test(line)) {
+      section = edit.replace;
+    } else if (edit && /^>{5,}\s*REPLACE\s*$/.test(line)) {
+      edits.push(edit);
+      edit = null;
+      section = null;
+    } else if (section) {
+      section.push(line);
+    }
+  }
+  return edits;
+}
+
+/**
+ * Parses unified diff hunks from a fix response into search/replace edits.
+ * Hunk line numbers are ignored: hunks are located by their content, like
+ * search/replace blocks.
+ * @param {string[]} lines - Response lines.
+ * @returns {Array<{ search: string[], replace: string[] }>}
+ */
+function parseUnifiedDiff(lines) {
+  const edits = [];
+  let edit = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('@@')) {
+      edit = { search: [], replace: [] };
+      edits.push(edit);
+    } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      edit = null;
       i++;
+    } else if (!edit || line.startsWith('\\')) {
+      continue;
+    } else if (line.startsWith('-')) {
+      edit.search.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      edit.replace.push(line.slice(1));
+    } else {
+      // Context line; models sometimes drop the leading space of blank lines
+      const text = line.startsWith(' ') ? line.slice(1) : line;
+      edit.search.push(text);
+      edit.replace.push(text);
     }
   }
+  return edits;
+}
 
-  if (hunks.length === 0) {
-    return '(no changes)';
+/**
+ * Extracts the edits from a fix response: search/replace blocks, or failing
+ * that, unified diff hunks.
+ * @param {string} raw - LLM response.
+ * @returns {Array<{ search: string[], replace: string[] }>}
+ */
+function parseEdits(raw) {
+  const lines = raw.replace(/\r\n/g, '\n').split('\n').filter((line) => !/^```/.test(line));
+  const blocks = parseSearchReplace(lines);
+  return blocks.length > 0 ? blocks : parseUnifiedDiff(lines);
+}
+
+/**
+ * Finds where `search` occurs in `lines`: an exact match, or failing that one
+ * that ignores trailing whitespace. Of several matches, the one nearest the
+ * bug wins.
+ * @param {string[]} lines - File lines.
+ * @param {string[]} search - Lines to find.
+ * @param {number} nearLine - 1-based bug line.
+ * @returns {number} 0-based index of the first matching line, or -1.
+ */
+function findBlock(lines, search, nearLine) {
+  for (const same of [(a, b) => a === b, (a, b) => a.trimEnd() === b.trimEnd()]) {
+    let best = -1;
+    for (let i = 0; i + search.length <= lines.length; i++) {
+      if (!search.every((line, j) => same(lines[i + j], line))) continue;
+      if (best === -1 || Math.abs(i + 1 - nearLine) < Math.abs(best + 1 - nearLine)) best = i;
+    }
+    if (best !== -1) return best;
   }
+  return -1;
+}
+
+/**
+ * Applies edits to `content`, verifying that each one matches the file and
+ * stays within the fix limits. Edits above the bug that add or remove lines
+ * move it, so later edits are measured against its updated position.
+ * @param {string} content - Current file content.
+ * @param {Array<{ search: string[], replace: string[] }>} edits
+ * @param {number} bugLine - 1-based line of the reported bug.
+ * @param {{ maxLines: number, maxDistance: number }} limits
+ * @returns {{ fixedCode: string, changedLines: number }}
+ * @throws {Error} If an edit does not match, is too far from the bug, or the
+ *   edits change too many lines.
+ */
+function applyEdits(content, edits, bugLine, limits) {
+  const lines = content.split('\n');
+  let changedLines = 0;
+  // Lines added minus lines removed above the bug by the edits applied so far
+  let lineDelta = 0;
+
+  for (const { search, replace } of edits) {
+    if (search.length === 0) {
+      throw new Error('an edit has an empty SEARCH section');
+    }
+    const near = bugLine + lineDelta;
+    const at = findBlock(lines, search, near);
+    if (at === -1) {
+      throw new Error(`SEARCH text not found in the file: "${search.find((l) => l.trim())?.trim() ?? ''}"`);
+    }
 
-  const header = `--- a/${filePath}\n+++ b/${filePath}`;
-  const parts = [header];
-
-  for (const hunk of hunks) {
-    const ctxStart = Math.max(0, hunk.start - CONTEXT);
-    const ctxEnd = Math.min(maxLen, hunk.end + CONTEXT);
-
-    // Hunk header: @@ -origStart,origCount +fixedStart,fixedCount @@
-    const origCount = Math.min(ctxEnd, originalLines.length) - ctxStart;
-    const fixedCount = Math.min(ctxEnd, fixedLines.length) - ctxStart;
-    const hunkHeader = `@@ -${ctxStart + 1},${origCount} +${ctxStart + 1},${fixedCount} @@`;
-
-    const lines = [hunkHeader];
-
-    for (let j = ctxStart; j < ctxEnd; j++) {
-      if (j < hunk.start || j >= hunk.end) {
-        // Context line — present in both versions
-        const contextLine = originalLines[j] ?? fixedLines[j] ?? '';
-        lines.push(` ${contextLine}`);
-      } else {
-        // Changed region: emit removed then added
-        if (j < originalLines.length) {
-          lines.push(`-${originalLines[j]}`);
-        }
-        if (j < fixedLines.length) {
-          lines.push(`+${fixedLines[j]}`);
-        }
-      }
+    // Only lines that differ count; shared leading/trailing lines are context
+    let prefix = 0;
+    while (prefix < search.length && prefix < replace.length && search[prefix] === replace[prefix]) prefix++;
+    let suffix = 0;
+    while (
+      suffix < search.length - prefix &&
+      suffix < replace.length - prefix &&
+      search[search.length - 1 - suffix] === replace[replace.length - 1 - suffix]
+    ) suffix++;
+    const removed = search.length - prefix - suffix;
+    const added = replace.length - prefix - suffix;
+    if (removed === 0 && added === 0) continue;
+
+    const first = at + prefix + 1;
+    const last = first + Math.max(removed, 1) - 1;
+    const distance = near < first ? first - near : Math.max(0, near - last);
+    if (distance > limits.maxDistance) {
+      throw new Error(
+        `edit at line ${first} is ${distance} lines from the reported bug (limit ${limits.maxDistance})`
+      );
     }
 
-    parts.push(lines.join('\n'));
+    changedLines += Math.max(removed, added);
+    lines.splice(at, search.length, ...replace);
+    if (first + removed <= near) lineDelta += added - removed;
+  }
+
+  if (changedLines > limits.maxLines) {
+    throw new Error(`fix changes ${changedLines} lines (limit ${limits.maxLines})`);
+  }
+  return { fixedCode: lines.join('\n'), changedLines };
+}
+
+/**
+ * Throws if `code` no longer parses with the file's language adapter. Uses
+ * the adapter's syntax check, since the Python and Go parsers are line
+ * scanners that accept any input. Files without an adapter are not checked.
+ * @param {string} filePath
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+async function assertParses(filePath, code) {
+  const language = detectLanguage(filePath);
+  if (!language) return;
+  const adapter = await getAdapter(language);
+  if (!adapter.checkSyntax) {
+    adapter.parseFile(code, filePath);
+    return;
   }
+  const error = adapter.checkSyntax(code);
+  if (error) throw new Error(`line ${error.line}: ${error.message}`);
+}
 
-  return parts.join('\n');
+/**
+ * Unified diff of a fix, with the path relative to the working directory so
+ * the stored diff can be fed to `git apply`.
+ * @param {string} original - The original file content.
+ * @param {string} fixed - The fixed file content.
+ * @param {string} filePath - Path of the fixed file.
+ * @returns {string} Unified diff string, or "(no changes)".
+ */
+function generateDiff(original, fixed, filePath) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  return unifiedDiff(original, fixed, { path: relativePath }) || '(no changes)';
 }
 
 /**
- * Calls the LLM to produce a corrected version of the file.
+ * Calls the LLM to produce the fix as search/replace edits (or a unified diff).
  * @param {string} filePath - Path of the file.
  * @param {string} content - Current file content.
  * @param {object} bug - Bug object from the scanner.
  * @param {object} llm - LLM client from getLLMClient().
- * @returns {Promise<string>} The corrected file content as a string.
+ * @returns {Promise<Array<{ search: string[], replace: string[] }>>} The parsed edits.
+ * @throws {Error} If the call fails or the response contains no edits.
  */
 async function generateFix(filePath, content, bug, llm) {
-  const prompt = buildFixPrompt(filePath, content, bug);
+  const prompt = buildFixPrompt(path.relative(process.cwd(), filePath).split(path.sep).join('/'), content, bug);
 
   let raw;
   try {
-    raw = await chatCompletion(llm, prompt, 8192);
+    raw = await withRetry(() => chatCompletion(llm, prompt, 8192));
   } catch (err) {
     if (err.status === 429) {
-      throw new Error(`Rate limit hit while fixing ${filePath}. Wait a moment and retry.`);
+      throw new Error(`Rate limit hit while fixing ${filePath}, still failing after retries.`);
     }
     throw new Error(`API error while fixing ${filePath}: ${err.message}`);
   }
 
-  // LLMs sometimes wrap output in markdown fences despite explicit instructions.
-  const stripped = raw
-    .replace(/^```(?:\w+)?\n?/i, '')
-    .replace(/\n?```\s*$/i, '')
-    .trim();
-
-  return stripped;
+  const edits = parseEdits(raw);
+  if (edits.length === 0) {
+    throw new Error(`Fix response for ${filePath} contained no search/replace blocks or diff hunks.`);
+  }
+  return edits;
 }
 
 /**
- * Applies a fix for a single bug: generates corrected code via Claude, writes it
- * to disk, and returns a detailed result object.
+ * Applies a fix for a single bug: asks Claude for search/replace edits,
+ * applies them with verification, writes the file, and returns a detailed
+ * result object.
+ *
+ * The model never rewrites the whole file, so a truncated response cannot
+ * delete code. A fix is rejected — and the file left untouched — if an edit
+ * does not match the file, sits more than `maxDistance` lines from the
+ * reported bug, or the fix changes more than `maxLines` lines. A fix after
+ * which the file no longer parses (via the language adapter's `parseFile`)
+ * is rolled back.
  *
  * @param {{
  *   file: string,
@@ -158,7 +286,10 @@ async function generateFix(filePath, content, bug, llm) {
  *   severity: string,
  *   suggestedFix: string
  * }} bug - A single bug object as returned by scanFiles / scanDirectory.
- * @param {object} [options={}] - Reserved for future options (e.g. dry-run).
+ * @param {{ llm?: object, maxLines?: number, maxDistance?: number }} [options={}]
+ *   - llm: provider settings passed to getLLMClient()
+ *   - maxLines: most lines the fix may change (default: 20)
+ *   - maxDistance: furthest an edit may be from the bug line (default: 15)
  * @returns {Promise<{
  *   file: string,
  *   line: number,
@@ -167,9 +298,10 @@ async function generateFix(filePath, content, bug, llm) {
  *   fixedCode: string,
  *   diff: string
  * }>} Result object describing what was changed.
+ * @throws {Error} If the fix cannot be generated, is rejected, or breaks parsing.
  */
 export async function fixBug(bug, options = {}) {
-  const llm = getLLMClient();
+  const llm = getLLMClient(options.llm);
 
   const filePath = path.resolve(bug.file);
 
@@ -180,9 +312,19 @@ export async function fixBug(bug, options = {}) {
     throw new Error(`Cannot read file to fix: ${filePath} — ${err.message}`);
   }
 
-  const fixedCode = await generateFix(filePath, originalCode, bug, llm);
+  const edits = await generateFix(filePath, originalCode, bug, llm);
 
-  if (!fixedCode || fixedCode === originalCode) {
+  let fixedCode;
+  try {
+    ({ fixedCode } = applyEdits(originalCode, edits, bug.line, {
+      maxLines: options.maxLines ?? DEFAULT_MAX_FIX_LINES,
+      maxDistance: options.maxDistance ?? DEFAULT_MAX_FIX_DISTANCE,
+    }));
+  } catch (err) {
+    throw new Error(`Rejected fix for ${filePath}: ${err.message}`);
+  }
+
+  if (fixedCode === originalCode) {
     // Claude returned the same content — nothing to write
     return {
       file: bug.file,
@@ -201,6 +343,13 @@ export async function fixBug(bug, options = {}) {
     throw new Error(`Failed to write fix to ${filePath}: ${err.message}`);
   }
 
+  try {
+    await assertParses(filePath, fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    fs.writeFileSync(filePath, originalCode, 'utf8');
+    throw new Error(`Rolled back fix for ${filePath}: the file no longer parses (${err.message})`);
+  }
+
   const diff = generateDiff(originalCode, fixedCode, bug.file);
 
   return {
@@ -213,6 +362,40 @@ export async function fixBug(bug, options = {}) {
   };
 }
 
+/**
+ * Picks up a manual edit of a fixed file (e.g. made during interactive review):
+ * re-reads the file, checks it still parses, and recomputes the diff against
+ * the original code. If it no longer parses, the previous fix is restored.
+ *
+ * @param {{ file: string, originalCode: string, fixedCode: string, diff: string }} fixResult -
+ *   Result from fixBug() (or an earlier reviseFix()) whose file was edited.
+ * @returns {Promise<object>} `fixResult` with `fixedCode` and `diff` updated.
+ * @throws {Error} If the file cannot be read or the edit breaks parsing.
+ */
+export async function reviseFix(fixResult) {
+  const filePath = path.resolve(fixResult.file);
+
+  let editedCode;
+  try {
+    editedCode = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read edited fix: ${filePath} — ${err.message}`);
+  }
+
+  try {
+    await assertParses(filePath, editedCode);
+  } catch (err) {
+    fs.writeFileSync(filePath, fixResult.fixedCode, 'utf8');
+    throw new Error(`Discarded edit of ${filePath}: the file no longer parses (${err.message})`);
+  }
+
+  return {
+    ...fixResult,
+    fixedCode: editedCode,
+    diff: generateDiff(fixResult.originalCode, editedCode, fixResult.file),
+  };
+}
+
 /**
  * Applies fixes for an array of bugs sequentially, returning all results.
  *
@@ -226,7 +409,7 @@ export async function fixBug(bug, options = {}) {
  *   severity: string,
  *   suggestedFix: string
  * }>} bugs - Array of bug objects as returned by scanFiles / scanDirectory.
- * @param {object} [options={}] - Reserved for future options (e.g. dry-run).
+ * @param {object} [options={}] - Passed through to fixBug().
  * @returns {Promise<Array<{
  *   file: string,
  *   line: number,
@@ -3,16 +3,24 @@
  *
  * After a real bug is fixed, this module locates injection points in OTHER files
  * and applies subtle bug templates to them, maintaining the hydra's regrowth loop.
+ * It also powers the standalone `inject` command, which runs without a fix.
  *
  * Exported API:
  *   injectBugs(fix, options)                                  — top-level orchestration
+ *   findInjectionCandidates(fix, options)                     — every ranked candidate in scope
+ *   applyCandidate(candidate, adapter, options)               — apply one candidate to its file
  *   selectInjectionPoints(files, fix, options, templates, adapter) — scoring and ranking
- *   applyInjection(file, template, injectionPoint, parsed, originalCode, adapter) — single-file mutation
+ *   applyInjection(file, template, injectionPoint, parsed, originalCode, adapter, options) — single-file mutation
+ *   withInjectionsSetAside(injections, fn)                    — run fn with earlier injections reverted
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { detectLanguage, getAdapter, getAllSupportedExtensions, getExtensionsForLanguage } from '../languages/index.js';
+import { createPatch, applyPatch } from '../utils/patch.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { createRng, weightedShuffle } from '../utils/random.js';
+import { matchesAnyGlob } from '../utils/glob.js';
 
 // ---------------------------------------------------------------------------
 // File discovery
@@ -25,13 +33,18 @@ import { detectLanguage, getAdapter, getAllSupportedExtensions, getExtensionsFor
  * @param {string} scopeDir  - Absolute directory to search in.
  * @param {string} fixedFile - Absolute path to exclude (the file that was fixed).
  * @param {object|null} adapter - Language adapter (supplies extensions and skipDirs).
+ * @param {{ include?: string[], exclude?: string[], skipDirs?: string[] }} [globs={}] - File
+ *   globs, relative to the project root. When `include` is non-empty, only matching files
+ *   are kept; files matching `exclude` are always dropped. `skipDirs` adds directory names
+ *   to skip on top of the adapter's.
  * @returns {string[]} Sorted list of absolute file paths.
  */
-function collectCandidateFiles(scopeDir, fixedFile, adapter) {
+function collectCandidateFiles(scopeDir, fixedFile, adapter, globs = {}) {
+  const { include = [], exclude = [], skipDirs = [] } = globs;
   const extensions = adapter ? adapter.extensions : getAllSupportedExtensions();
   const skipDirNames = adapter
-    ? new Set([...adapter.skipDirs, '.git'])
-    : new Set(['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '__pycache__', '.venv', 'venv', 'vendor']);
+    ? new Set([...adapter.skipDirs, '.git', ...skipDirs])
+    : new Set(['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '__pycache__', '.venv', 'venv', 'vendor', ...skipDirs]);
   const results = [];
 
   function walk(dir) {
@@ -51,9 +64,10 @@ function collectCandidateFiles(scopeDir, fixedFile, adapter) {
         walk(full);
       } else if (entry.isFile() && extensions.has(path.extname(entry.name))) {
         const resolved = path.resolve(full);
-        if (resolved !== path.resolve(fixedFile)) {
-          results.push(resolved);
-        }
+        if (resolved === path.resolve(fixedFile)) continue;
+        if (include.length > 0 && !matchesAnyGlob(resolved, include)) continue;
+        if (matchesAnyGlob(resolved, exclude)) continue;
+        results.push(resolved);
       }
     }
   }
@@ -62,6 +76,28 @@ function collectCandidateFiles(scopeDir, fixedFile, adapter) {
   return results.sort();
 }
 
+/**
+ * Picks the language with the most source files under `scopeDir`. Used when
+ * there is no fixed file to detect the language from (standalone injection).
+ *
+ * @param {string} scopeDir - Absolute directory to search in.
+ * @param {{ include?: string[], exclude?: string[] }} [globs={}] - File globs (see collectCandidateFiles).
+ * @returns {string|null} Language name, or null if the scope has no supported files.
+ */
+function detectScopeLanguage(scopeDir, globs = {}) {
+  const counts = new Map();
+  for (const file of collectCandidateFiles(scopeDir, '', null, globs)) {
+    const language = detectLanguage(file);
+    if (language) counts.set(language, (counts.get(language) ?? 0) + 1);
+  }
+
+  let best = null;
+  for (const [language, count] of counts) {
+    if (best === null || count > counts.get(best)) best = language;
+  }
+  return best;
+}
+
 // ---------------------------------------------------------------------------
 // Relatedness scoring helpers
 // ---------------------------------------------------------------------------
@@ -178,114 +214,48 @@ function severityMatchScore(template, requestedSeverity) {
 }
 
 // ---------------------------------------------------------------------------
-// Diff generation
+// Candidate refresh
 // ---------------------------------------------------------------------------
 
 /**
- * Generates a simple unified diff between two strings, showing changed lines
- * with `-`/`+` prefixes and up to `contextLines` lines of surrounding context.
+ * Returns a key identifying an injection point across parses of the same
+ * source: its location, plus the line text for regex-based templates.
  *
- * @param {string} original   - Content before the change.
- * @param {string} modified   - Content after the change.
- * @param {string} filePath   - File path label shown in the diff header.
- * @param {number} [contextLines=3] - Number of unchanged lines to show around changes.
+ * @param {object} point - Injection point from `findInjectionPoints`.
  * @returns {string}
  */
-function generateDiff(original, modified, filePath, contextLines = 3) {
-  const origLines = original.split('\n');
-  const modLines = modified.split('\n');
-
-  // Build a simple line-by-line comparison.
-  // For files that differ significantly this produces a serviceable hunk-based diff.
-  const changes = []; // { type: 'eq'|'del'|'add', origIdx, modIdx, text }
-
-  let oi = 0;
-  let mi = 0;
-
-  // Walk both sequences looking for matching lines (greedy, not LCS)
-  while (oi < origLines.length || mi < modLines.length) {
-    if (oi < origLines.length && mi < modLines.length && origLines[oi] === modLines[mi]) {
-      changes.push({ type: 'eq', origIdx: oi, modIdx: mi, text: origLines[oi] });
-      oi++;
-      mi++;
-    } else {
-      // Find nearest match within a small lookahead window
-      const WINDOW = 8;
-      let matched = false;
-      for (let d = 1; d <= WINDOW && !matched; d++) {
-        // Deletion at oi+d matches current mi?
-        if (oi + d < origLines.length && origLines[oi + d] === modLines[mi]) {
-          for (let k = 0; k < d; k++) {
-            changes.push({ type: 'del', origIdx: oi + k, text: origLines[oi + k] });
-          }
-          oi += d;
-          matched = true;
-        }
-        // Insertion: current oi matches mi+d?
-        else if (mi + d < modLines.length && origLines[oi] === modLines[mi + d]) {
-          for (let k = 0; k < d; k++) {
-            changes.push({ type: 'add', modIdx: mi + k, text: modLines[mi + k] });
-          }
-          mi += d;
-          matched = true;
-        }
-      }
-      if (!matched) {
-        // Treat as a one-to-one substitution
-        if (oi < origLines.length)
-          changes.push({ type: 'del', origIdx: oi, text: origLines[oi] });
-        if (mi < modLines.length)
-          changes.push({ type: 'add', modIdx: mi, text: modLines[mi] });
-        oi++;
-        mi++;
-      }
-    }
-  }
-
-  // Group contiguous changed lines into hunks with context
-  const changedIndices = new Set(
-    changes
-      .map((c, i) => (c.type !== 'eq' ? i : -1))
-      .filter((i) => i !== -1)
-  );
-
-  if (changedIndices.size === 0) return '';
-
-  const lines = [`--- a/${filePath}`, `+++ b/${filePath}`];
-  let i = 0;
-  while (i < changes.length) {
-    if (!changedIndices.has(i)) {
-      i++;
-      continue;
-    }
-
-    // Compute hunk boundaries
-    const start = Math.max(0, i - contextLines);
-    let end = i;
-    while (end < changes.length && (changedIndices.has(end) || end < i + contextLines)) {
-      end++;
-    }
-    end = Math.min(changes.length, end + contextLines);
-
-    // Count original/modified lines for hunk header
-    const hunkChanges = changes.slice(start, end);
-    const origStart = hunkChanges.find((c) => c.origIdx != null)?.origIdx ?? 0;
-    const modStart = hunkChanges.find((c) => c.modIdx != null)?.modIdx ?? 0;
-    const origCount = hunkChanges.filter((c) => c.type !== 'add').length;
-    const modCount = hunkChanges.filter((c) => c.type !== 'del').length;
-
-    lines.push(`@@ -${origStart + 1},${origCount} +${modStart + 1},${modCount} @@`);
-
-    for (const change of hunkChanges) {
-      if (change.type === 'eq') lines.push(` ${change.text}`);
-      else if (change.type === 'del') lines.push(`-${change.text}`);
-      else if (change.type === 'add') lines.push(`+${change.text}`);
-    }
+function injectionPointKey(point) {
+  const { start, end } = point.loc ?? {};
+  return JSON.stringify([start?.line, start?.column, end?.line, end?.column, point.lineIndex, point.line]);
+}
 
-    i = end;
+/**
+ * Re-reads and re-parses a candidate's file and finds its injection point in
+ * the fresh parse. Candidates are ranked from one parse per file, but an
+ * earlier injection may since have changed the file, and templates mutate
+ * the parsed tree in place — so each application needs its own.
+ *
+ * @param {object} candidate - Ranked candidate from selectInjectionPoints().
+ * @param {object} adapter - Language adapter.
+ * @param {string} [content] - Current content when it is not on disk (dry runs).
+ * @returns {{ parsed: object, injectionPoint: object, originalCode: string }|null}
+ *   Null if the file cannot be read or parsed, or the point no longer exists.
+ */
+function refreshCandidate(candidate, adapter, content) {
+  let originalCode = content;
+  let parsed;
+  let points;
+  try {
+    originalCode ??= fs.readFileSync(candidate.file, 'utf8');
+    parsed = adapter.parseFile(originalCode, candidate.file);
+    points = candidate.template.findInjectionPoints(parsed, candidate.file) ?? [];
+  } catch {
+    return null;
   }
 
-  return lines.join('\n');
+  const key = injectionPointKey(candidate.injectionPoint);
+  const injectionPoint = points.find((point) => injectionPointKey(point) === key);
+  return injectionPoint ? { parsed, injectionPoint, originalCode } : null;
 }
 
 // ---------------------------------------------------------------------------
@@ -301,6 +271,9 @@ function generateDiff(original, modified, filePath, contextLines = 3) {
  *   2. Template category fit for the fix context.
  *   3. Severity proximity to the requested severity level.
  *
+ * Points a template's optional `isEquivalent(parsed, point)` flags as
+ * equivalent mutations (ones that cannot change behaviour) are dropped.
+ *
  * @param {string[]} files     - Absolute paths of candidate files to analyze.
  * @param {object}  fix        - Fix result object with at least `{ file, description }`.
  * @param {object}  options    - Options `{ severity?: number }`.
@@ -358,6 +331,14 @@ export function selectInjectionPoints(files, fix, options, templates, adapter) {
         continue;
       }
 
+      // Mutations that provably cannot change behaviour would be bugs nobody can find
+      points = points?.filter((point) => {
+        try {
+          return !template.isEquivalent?.(parsed, point);
+        } catch {
+          return true;
+        }
+      });
       if (!points || points.length === 0) continue;
 
       const catScore = categoryFitScore(template, fix, language);
@@ -384,6 +365,10 @@ export function selectInjectionPoints(files, fix, options, templates, adapter) {
 /**
  * Applies `template.inject()` to the parsed representation at `injectionPoint`,
  * regenerates the source via the adapter, writes it back, and returns the result.
+ * The written file is re-checked with the adapter's `checkSyntax`; if the
+ * injection broke the syntax, the original content is restored and null is
+ * returned. With `options.dryRun` the file is left untouched and the result
+ * only describes the change that would be made.
  *
  * @param {string} file           - Absolute path to the target file.
  * @param {object} template       - Bug template to apply.
@@ -391,18 +376,22 @@ export function selectInjectionPoints(files, fix, options, templates, adapter) {
  * @param {object} parsed         - Pre-parsed AST/tree for the file.
  * @param {string} originalCode   - Full original source content of the file.
  * @param {object} adapter        - Language adapter for code generation.
+ * @param {{ dryRun?: boolean }} [options={}]
  * @returns {{
  *   file: string,
  *   line: number,
+ *   template: string,
  *   category: string,
  *   severity: number,
  *   description: string,
  *   originalCode: string,
  *   injectedCode: string,
- *   diff: string
- * }|null} Result object, or null if the injection fails.
+ *   diff: string,
+ *   revertPatch: object
+ * }|null} Result object, or null if the injection fails or was rolled back. `revertPatch` is the
+ *   minimal reverse patch (see utils/patch.js) that undoes this injection.
  */
-export function applyInjection(file, template, injectionPoint, parsed, originalCode, adapter) {
+export function applyInjection(file, template, injectionPoint, parsed, originalCode, adapter, options = {}) {
   let mutatedParsed;
   try {
     mutatedParsed = template.inject(parsed, injectionPoint);
@@ -419,9 +408,29 @@ export function applyInjection(file, template, injectionPoint, parsed, originalC
 
   if (injectedCode === originalCode) return null;
 
+  if (!options.dryRun) {
+    try {
+      fs.writeFileSync(file, injectedCode, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  // Re-parse what was written: an injection that breaks the syntax is rolled back
+  let written = injectedCode;
   try {
-    fs.writeFileSync(file, injectedCode, 'utf8');
+    if (!options.dryRun) written = fs.readFileSync(file, 'utf8');
   } catch {
+    written = null;
+  }
+  if (written === null || adapter.checkSyntax?.(written)) {
+    if (!options.dryRun) {
+      try {
+        fs.writeFileSync(file, originalCode, 'utf8');
+      } catch {
+        // Nothing more to do; the caller moves on to the next candidate
+      }
+    }
     return null;
   }
 
@@ -452,20 +461,121 @@ export function applyInjection(file, template, injectionPoint, parsed, originalC
     description = template.description;
   }
 
-  const diff = generateDiff(originalCode, injectedCode, relativeFile);
+  const diff = unifiedDiff(originalCode, injectedCode, { path: relativeFile });
+  const revertPatch = createPatch(injectedCode, originalCode);
 
   return {
     file: relativeFile,
     line,
+    template: template.name,
     category: template.category,
     severity,
     description,
     originalCode,
     injectedCode,
     diff,
+    revertPatch,
   };
 }
 
+/**
+ * Finds every injection candidate for a fix: detects the language, loads the
+ * adapter's (filtered) templates, collects the files in scope and ranks their
+ * injection points. This is the candidate pool injectBugs() draws from, and
+ * the mutant pool for mutation testing.
+ *
+ * @param {object} fix - Fix result `{ file, description }`, or `{}` for standalone injection
+ *   (see injectBugs).
+ * @param {object} [options] - The scope, language, severity, filters and skipDirs options of
+ *   injectBugs().
+ * @returns {Promise<{ adapter: object|null, candidates: object[] }>} The adapter (null if none
+ *   could be loaded) and the candidates from selectInjectionPoints(), best first.
+ */
+export async function findInjectionCandidates(fix, options = {}) {
+  const {
+    severity = 3,
+    scope = 'src/',
+    language,
+    filters = {},
+    skipDirs,
+  } = options;
+  const globs = { include: filters.include, exclude: filters.exclude, skipDirs };
+  const none = { adapter: null, candidates: [] };
+
+  const fixedFileAbs = fix.file ? path.resolve(process.cwd(), fix.file) : null;
+  const scopeAbs = path.resolve(process.cwd(), scope);
+  if (!fs.existsSync(scopeAbs)) return none;
+
+  // Detect language from the explicit option, the fixed file, or (for standalone
+  // injection with no fix) the scope's dominant language; fallback to javascript
+  const detectedLanguage =
+    language ||
+    (fixedFileAbs ? detectLanguage(fixedFileAbs) : detectScopeLanguage(scopeAbs, globs)) ||
+    'javascript';
+
+  // Load the language adapter
+  let adapter;
+  try {
+    adapter = await getAdapter(detectedLanguage, filters);
+  } catch {
+    return none;
+  }
+
+  const templates = adapter.templates;
+  if (!templates || templates.length === 0) return { adapter, candidates: [] };
+
+  let candidateFiles = collectCandidateFiles(scopeAbs, fixedFileAbs ?? '', adapter, globs);
+
+  if (
+    candidateFiles.length === 0 &&
+    fixedFileAbs &&
+    fs.existsSync(fixedFileAbs) &&
+    !(globs.include?.length && !matchesAnyGlob(fixedFileAbs, globs.include)) &&
+    !matchesAnyGlob(fixedFileAbs, globs.exclude)
+  ) {
+    candidateFiles = [fixedFileAbs];
+  }
+
+  const candidates = selectInjectionPoints(
+    candidateFiles,
+    { ...fix, file: fixedFileAbs ?? fix.file ?? '' },
+    { severity },
+    templates,
+    adapter
+  );
+  return { adapter, candidates };
+}
+
+/**
+ * Applies one candidate from findInjectionCandidates() to its file. The file
+ * is re-read and re-parsed first, so the candidate still applies after other
+ * injections (or their reverts) have changed the file.
+ *
+ * @param {object} candidate - Candidate from findInjectionCandidates(). Its `file` may be
+ *   swapped for a copy of the same file elsewhere, e.g. in a scratch worktree.
+ * @param {object} adapter - Language adapter returned alongside the candidate.
+ * @param {{ dryRun?: boolean, content?: string }} [options={}]
+ *   - dryRun: leave the file untouched (see applyInjection)
+ *   - content: the file's current content, when it is not on disk (dry runs)
+ * @returns {object|null} Result from applyInjection(), or null if the injection point no
+ *   longer exists or the injection failed.
+ */
+export function applyCandidate(candidate, adapter, options = {}) {
+  const { dryRun = false, content } = options;
+  const current = refreshCandidate(candidate, adapter, content);
+  if (!current) return null;
+
+  return applyInjection(
+    candidate.file,
+    candidate.template,
+    current.injectionPoint,
+    current.parsed,
+    current.originalCode,
+    adapter,
+    { dryRun }
+  );
+}
+
 /**
  * Top-level injection orchestrator. Given a fix result, finds `ratio` injection
  * points in files OTHER than the fixed file, applies bug templates to them, and
@@ -478,98 +588,122 @@ export function applyInjection(file, template, injectionPoint, parsed, originalC
  *     description: string, // human-readable summary of the fix
  *   }
  *   ```
+ *   Pass `{}` for standalone injection: no file is excluded, scoring ignores
+ *   relatedness, and the language is detected from the scope.
  * @param {object} [options]
  * @param {number} [options.ratio=2]      - How many bugs to inject.
  * @param {number} [options.severity=3]   - Target severity level (1–5).
  * @param {string} [options.scope='src/'] - Directory to search for injection targets
  *                                          (resolved relative to process.cwd()).
  * @param {string} [options.language]     - Force a specific language ('javascript', 'python', 'go').
+ * @param {string|number} [options.seed]  - When set, candidates are drawn at random (weighted by
+ *                                          score) from a PRNG seeded with this value, so the same
+ *                                          seed reproduces the same selection. When omitted, the
+ *                                          top-scored candidates are taken.
+ * @param {object} [options.filters]     - Template and file filters:
+ *   `{ templates?, excludeTemplates?, categories? }` narrow the adapter's templates
+ *   (see languages/getAdapter); `{ include?, exclude? }` are file globs relative to
+ *   the project root (see collectCandidateFiles).
+ * @param {string[]} [options.skipDirs]  - Extra directory names to skip when collecting files.
+ * @param {boolean} [options.dryRun=false] - Compute the injections in memory without writing
+ *                                          any files (for previews).
+ * @param {(injection: object) => Promise<object>} [options.verify] - Called after each injection
+ *                                          is written (never in dry runs), e.g. to run the tests;
+ *                                          the resolved value is stored as `verification` on
+ *                                          the injection result. If it rejects, `verification`
+ *                                          is `{ status: 'unknown', reason: null, error }`.
  * @returns {Promise<Array<{
  *   file: string,
  *   line: number,
+ *   template: string,
  *   category: string,
  *   severity: number,
  *   description: string,
  *   originalCode: string,
  *   injectedCode: string,
- *   diff: string
+ *   diff: string,
+ *   revertPatch: object,
+ *   verification?: object
  * }>>} Resolves with array of successful injection results (may be fewer than `ratio`
  *      if not enough suitable targets exist).
  */
 export async function injectBugs(fix, options = {}) {
-  const { ratio = 2, severity = 3, scope = 'src/', language } = options;
-
-  const fixedFileAbs = fix.file ? path.resolve(process.cwd(), fix.file) : null;
-
-  // Detect language from the fixed file, or use explicit option, fallback to javascript
-  const detectedLanguage = language || (fixedFileAbs ? detectLanguage(fixedFileAbs) : null) || 'javascript';
-
-  // Load the language adapter
-  let adapter;
-  try {
-    adapter = await getAdapter(detectedLanguage);
-  } catch {
-    return [];
-  }
-
-  const templates = adapter.templates;
-  if (!templates || templates.length === 0) return [];
-
-  const scopeAbs = path.resolve(process.cwd(), scope);
-  if (!fs.existsSync(scopeAbs)) return [];
-
-  let candidateFiles = collectCandidateFiles(scopeAbs, fixedFileAbs ?? '', adapter);
-
-  if (candidateFiles.length === 0 && fixedFileAbs && fs.existsSync(fixedFileAbs)) {
-    candidateFiles = [fixedFileAbs];
-  }
-
-  if (candidateFiles.length === 0) return [];
-
-  const ranked = selectInjectionPoints(
-    candidateFiles,
-    { ...fix, file: fixedFileAbs ?? fix.file ?? '' },
-    { severity },
-    templates,
-    adapter
-  );
+  const { ratio = 2, seed, dryRun = false, verify } = options;
 
+  const { adapter, candidates: ranked } = await findInjectionCandidates(fix, options);
   if (ranked.length === 0) return [];
 
-  const selected = [];
-  const usedFiles = new Set();
+  const ordered = seed == null
+    ? ranked
+    : weightedShuffle(ranked, (candidate) => candidate.score, createRng(seed));
 
-  for (const candidate of ranked) {
-    if (selected.length >= ratio) break;
-    if (!usedFiles.has(candidate.file)) {
-      selected.push(candidate);
-      usedFiles.add(candidate.file);
-    }
-  }
-
-  if (selected.length < ratio) {
-    for (const candidate of ranked) {
-      if (selected.length >= ratio) break;
-      if (!selected.includes(candidate)) {
-        selected.push(candidate);
+  const results = [];
+  const usedFiles = new Set();
+  const attempted = new Set();
+  // Dry runs write nothing, so earlier previews in a file are tracked here
+  const previewed = new Map();
+
+  // Candidates are tried in rank order, one file each first, then any file. A
+  // candidate that fails or is rolled back just makes way for the next one.
+  for (const spread of [true, false]) {
+    for (const candidate of ordered) {
+      if (results.length >= ratio) break;
+      if (attempted.has(candidate) || (spread && usedFiles.has(candidate.file))) continue;
+      attempted.add(candidate);
+
+      const result = applyCandidate(candidate, adapter, { dryRun, content: previewed.get(candidate.file) });
+      if (result !== null) {
+        if (verify && !dryRun) {
+          // The injection is on disk either way, so it must still be returned
+          try {
+            result.verification = await verify(result);
+          } catch (err) {
+            result.verification = { status: 'unknown', reason: null, error: err.message };
+          }
+        }
+        results.push(result);
+        usedFiles.add(candidate.file);
+        if (dryRun) previewed.set(candidate.file, result.injectedCode);
       }
     }
   }
 
-  const results = [];
-  for (const candidate of selected) {
-    const result = applyInjection(
-      candidate.file,
-      candidate.template,
-      candidate.injectionPoint,
-      candidate.parsed,
-      candidate.originalCode,
-      adapter
-    );
-    if (result !== null) {
-      results.push(result);
+  return results;
+}
+
+/**
+ * Runs `fn` with earlier injections temporarily reverted, so the tree holds
+ * only the changes made since (e.g. the injection being verified). The
+ * affected files are restored afterwards, whatever `fn` does.
+ *
+ * @template T
+ * @param {Array<{ file: string, revertPatch: object }>} injections - Injection results still
+ *   on disk, in the order they were applied.
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>} What `fn` resolves with.
+ * @throws {Error} If an injection no longer reverts cleanly; no file is changed then.
+ */
+export async function withInjectionsSetAside(injections, fn) {
+  const saved = new Map();
+  const reverted = new Map();
+
+  for (const injection of [...injections].reverse()) {
+    if (!saved.has(injection.file)) saved.set(injection.file, fs.readFileSync(injection.file, 'utf8'));
+    const current = reverted.get(injection.file) ?? saved.get(injection.file);
+    const result = applyPatch(current, injection.revertPatch);
+    if (!result.applied && !result.alreadyApplied) {
+      throw new Error(
+        `injector.withInjectionsSetAside: cannot set aside the ${injection.template} injection ` +
+          `in ${path.relative(process.cwd(), injection.file)}: it no longer reverts cleanly`
+      );
     }
+    reverted.set(injection.file, result.content);
   }
 
-  return results;
+  try {
+    for (const [file, content] of reverted) fs.writeFileSync(file, content, 'utf8');
+    return await fn();
+  } finally {
+    for (const [file, content] of saved) fs.writeFileSync(file, content, 'utf8');
+  }
 }
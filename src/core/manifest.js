@@ -22,20 +22,27 @@ export function loadManifest() {
 /**
  * Creates a new empty manifest for the given branch and writes it to disk.
  * @param {string} branch - The git branch name for this session (e.g. "hydra/session-abc123").
+ * @param {{ seed?: string|null, filters?: object|null }} [session={}] - Settings needed to
+ *   reproduce the session. `seed` is the injection selection seed, or null when top-scored
+ *   selection was used; `filters` is the effective template/category/file filter set.
  * @returns {object} The newly created manifest object.
  */
-export function createManifest(branch) {
+export function createManifest(branch, session = {}) {
   const manifest = {
     version: '1.0.0',
     created: new Date().toISOString(),
     branch,
+    seed: session.seed ?? null,
+    filters: session.filters ?? null,
     realFixes: [],
     injectedBugs: [],
+    falsePositives: [],
     stats: {
       totalRealFixes: 0,
       totalInjected: 0,
       discovered: 0,
       undiscovered: 0,
+      falsePositives: 0,
     },
   };
   saveManifest(manifest);
@@ -54,13 +61,21 @@ export function saveManifest(manifest) {
  * Adds a real fix entry to the manifest.
  * Auto-generates a sequential id like "fix-001". Updates stats and saves.
  * @param {object} manifest - The current manifest object (mutated in place).
- * @param {{ file: string, line: number, description: string, diff: string }} fix - Fix metadata.
+ * @param {{
+ *   file: string,
+ *   line: number,
+ *   description: string,
+ *   diff: string,
+ *   status?: 'applied'|'rejected',
+ *   rejectionReason?: string
+ * }} fix - Fix metadata. `status` defaults to "applied"; a "rejected" fix was
+ *   rolled back (e.g. because it broke the tests) and `rejectionReason` says why.
  * @returns {object} The manifest with the new fix appended.
  */
 export function addRealFix(manifest, fix) {
   const nextIndex = manifest.realFixes.length + 1;
   const id = `fix-${String(nextIndex).padStart(3, '0')}`;
-  manifest.realFixes.push({ id, ...fix });
+  manifest.realFixes.push({ id, status: 'applied', ...fix });
   updateStats(manifest);
   return manifest;
 }
@@ -73,12 +88,17 @@ export function addRealFix(manifest, fix) {
  *   parentFix: string,
  *   file: string,
  *   line: number,
+ *   template: string,
  *   category: string,
  *   severity: number,
  *   description: string,
- *   originalCode: string,
- *   diff: string
- * }} bug - Injected bug metadata.
+ *   diff: string,
+ *   revertPatch: object,
+ *   verification?: { status: 'killed'|'survived'|'timeout'|'unknown', reason: string|null, command?: string, error?: string }
+ * }} bug - Injected bug metadata. `revertPatch` is the reverse patch from
+ *   applyInjection(); the reverter applies it to undo the injection. `verification`
+ *   is the --verify-with-tests outcome: whether the tests caught the bug, or the
+ *   `error` that kept them from running.
  * @returns {object} The manifest with the new bug appended.
  */
 export function addInjectedBug(manifest, bug) {
@@ -114,6 +134,52 @@ export function markDiscovered(manifest, bugId, reviewer) {
   return manifest;
 }
 
+/**
+ * Finds the injected bug closest to a reviewer-reported location.
+ * Paths are compared relative to the project root, so absolute and relative
+ * forms of the same file both match.
+ * @param {object} manifest - The current manifest object.
+ * @param {string} file - Reported file path (absolute or cwd-relative).
+ * @param {number} line - Reported 1-based line number.
+ * @param {number} [tolerance=3] - Maximum distance in lines between the report and the bug.
+ * @returns {object|null} The nearest matching bug entry (undiscovered bugs win ties), or null.
+ */
+export function findBugByLocation(manifest, file, line, tolerance = 3) {
+  const target = path.relative(process.cwd(), path.resolve(process.cwd(), file));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const bug of manifest.injectedBugs) {
+    if (path.normalize(bug.file) !== target) continue;
+    const distance = Math.abs((bug.line ?? 0) - line);
+    if (distance > tolerance) continue;
+
+    const better =
+      distance < bestDistance ||
+      (distance === bestDistance && best.discoveredBy !== null && bug.discoveredBy === null);
+    if (better) {
+      best = bug;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Records a reviewer claim that did not match any injected bug.
+ * Updates stats and saves.
+ * @param {object} manifest - The current manifest object (mutated in place).
+ * @param {{ file: string, line: number, reviewer: string }} claim - The missed claim.
+ * @returns {object} The manifest with the false positive appended.
+ */
+export function addFalsePositive(manifest, claim) {
+  manifest.falsePositives ??= [];
+  manifest.falsePositives.push({ ...claim, claimedAt: new Date().toISOString() });
+  updateStats(manifest);
+  return manifest;
+}
+
 /**
  * Recalculates all stats from the current arrays and saves the manifest.
  * @param {object} manifest - The current manifest object (mutated in place).
@@ -121,11 +187,14 @@ export function markDiscovered(manifest, bugId, reviewer) {
  */
 export function updateStats(manifest) {
   const discovered = manifest.injectedBugs.filter((b) => b.discoveredBy !== null).length;
+  const rejectedFixes = manifest.realFixes.filter((f) => f.status === 'rejected').length;
   manifest.stats = {
-    totalRealFixes: manifest.realFixes.length,
+    totalRealFixes: manifest.realFixes.length - rejectedFixes,
+    rejectedFixes,
     totalInjected: manifest.injectedBugs.length,
     discovered,
     undiscovered: manifest.injectedBugs.length - discovered,
+    falsePositives: manifest.falsePositives?.length ?? 0,
   };
   saveManifest(manifest);
   return manifest;
@@ -0,0 +1,240 @@
+/**
+ * mutation-report.js — Hydra Bugbot mutation-testing reports
+ *
+ * Summarises a mutation run per file and per template and renders it as JSON
+ * or as a self-contained HTML page. Like scan reports, the output is
+ * deterministic: rows are sorted and no timestamps are included.
+ *
+ * The mutation score is the share of mutants the tests detected, counting a
+ * timeout as detected: (killed + timeout) / mutants.
+ *
+ * Exported API:
+ *   MUTATION_REPORT_FORMATS                        — supported format names
+ *   summariseMutants(mutants)                      — counts and score for a set of mutants
+ *   groupMutants(mutants, key)                     — summaries per file or template
+ *   formatMutationReport(run, format, options)     — render a mutation run in one format
+ */
+
+/**
+ * Supported report formats.
+ * @type {string[]}
+ */
+export const MUTATION_REPORT_FORMATS = ['json', 'html'];
+
+const TOOL_NAME = 'hydra-bugbot';
+
+/** Status → colour in the HTML report. */
+const STATUS_COLOURS = {
+  killed: '#1a7f37',
+  survived: '#cf222e',
+  timeout: '#9a6700',
+};
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; color: #1f2328; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border-bottom: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  code, pre { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  pre { background: #f6f8fa; padding: 0.6rem; overflow-x: auto; }
+  .bar { background: #ffebe9; height: 0.6rem; width: 8rem; display: inline-block; margin-right: 0.5rem; }
+  .bar span { background: #1a7f37; height: 100%; display: block; }
+  details { margin-bottom: 0.6rem; }
+`;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ *
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a mutation score for display.
+ *
+ * @param {number|null} score
+ * @returns {string}
+ */
+function formatScore(score) {
+  return score === null ? 'n/a' : `${score.toFixed(1)}%`;
+}
+
+/**
+ * Renders a summary table (one row per file or template) as HTML.
+ *
+ * @param {string} heading - Name of the first column.
+ * @param {Array<{ name: string, mutants: number, killed: number, survived: number, timeout: number, mutationScore: number|null }>} rows
+ * @returns {string}
+ */
+function htmlSummaryTable(heading, rows) {
+  const body = rows
+    .map(
+      (row) =>
+        `<tr><td><code>${escapeHtml(row.name)}</code></td>` +
+        `<td class="num">${row.mutants}</td><td class="num">${row.killed}</td>` +
+        `<td class="num">${row.survived}</td><td class="num">${row.timeout}</td>` +
+        `<td><span class="bar"><span style="width:${row.mutationScore ?? 0}%"></span></span>` +
+        `${formatScore(row.mutationScore)}</td></tr>`
+    )
+    .join('\n');
+
+  return (
+    '<table>\n' +
+    `<tr><th>${escapeHtml(heading)}</th><th class="num">Mutants</th><th class="num">Killed</th>` +
+    '<th class="num">Survived</th><th class="num">Timeout</th><th>Score</th></tr>\n' +
+    `${body}\n</table>`
+  );
+}
+
+/**
+ * @param {object} report - Result of toJson().
+ * @returns {string}
+ */
+function toHtml(report) {
+  const { summary, files, templates, mutants } = report;
+  const survivors = mutants.filter((m) => m.status === 'survived');
+
+  const survivorList = survivors.length === 0
+    ? '<p>Every mutant was detected.</p>'
+    : survivors
+        .map(
+          (m) =>
+            `<details><summary><code>${escapeHtml(`${m.file}:${m.line}`)}</code> ` +
+            `<strong>${escapeHtml(m.template)}</strong> — ${escapeHtml(m.description)}</summary>\n` +
+            `<pre>${escapeHtml(m.diff)}</pre></details>`
+        )
+        .join('\n');
+
+  const mutantRows = mutants
+    .map(
+      (m) =>
+        `<tr><td style="color:${STATUS_COLOURS[m.status] ?? 'inherit'}">${escapeHtml(m.status)}</td>` +
+        `<td><code>${escapeHtml(`${m.file}:${m.line}`)}</code></td><td>${escapeHtml(m.template)}</td>` +
+        `<td>${escapeHtml(m.description)}</td></tr>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Hydra Bugbot mutation report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Hydra Bugbot mutation report</h1>
+<p>Test command: <code>${escapeHtml(report.testCommand)}</code></p>
+<p><strong>Mutation score: ${formatScore(summary.mutationScore)}</strong> —
+${summary.killed} killed, ${summary.survived} survived, ${summary.timeout} timed out of ${summary.mutants} mutant(s)${
+    summary.notApplied > 0 ? `; ${summary.notApplied} could not be applied` : ''
+  }.</p>
+<h2>By file</h2>
+${htmlSummaryTable('File', files)}
+<h2>By template</h2>
+${htmlSummaryTable('Template', templates)}
+<h2>Survived mutants</h2>
+${survivorList}
+<h2>All mutants</h2>
+<table>
+<tr><th>Status</th><th>Location</th><th>Template</th><th>Description</th></tr>
+${mutantRows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {object} run - Result of runMutationTests().
+ * @param {string} version - Tool version.
+ * @returns {object}
+ */
+function toJson(run, version) {
+  const mutants = [...run.mutants].sort(
+    (a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.template.localeCompare(b.template)
+  );
+
+  return {
+    tool: { name: TOOL_NAME, version },
+    testCommand: run.testCommand,
+    summary: { ...summariseMutants(mutants), notApplied: run.notApplied ?? 0 },
+    files: groupMutants(mutants, 'file'),
+    templates: groupMutants(mutants, 'template'),
+    mutants: mutants.map(({ durationMs, ...mutant }) => mutant),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Counts mutants by outcome and computes their mutation score.
+ *
+ * @param {Array<{ status: string }>} mutants
+ * @returns {{ mutants: number, killed: number, survived: number, timeout: number, mutationScore: number|null }}
+ *   `mutationScore` is a percentage rounded to one decimal, or null when there are no mutants.
+ */
+export function summariseMutants(mutants) {
+  const count = (status) => mutants.filter((m) => m.status === status).length;
+  const killed = count('killed');
+  const survived = count('survived');
+  const timeout = count('timeout');
+  const mutationScore =
+    mutants.length === 0 ? null : Math.round(((killed + timeout) / mutants.length) * 1000) / 10;
+  return { mutants: mutants.length, killed, survived, timeout, mutationScore };
+}
+
+/**
+ * Summarises mutants per file or per template, sorted by name.
+ *
+ * @param {object[]} mutants - Mutants from runMutationTests().
+ * @param {'file'|'template'} key - Field to group by.
+ * @returns {Array<{ name: string, mutants: number, killed: number, survived: number, timeout: number, mutationScore: number|null }>}
+ */
+export function groupMutants(mutants, key) {
+  const groups = new Map();
+  for (const mutant of mutants) {
+    if (!groups.has(mutant[key])) groups.set(mutant[key], []);
+    groups.get(mutant[key]).push(mutant);
+  }
+  return [...groups.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map((name) => ({ name, ...summariseMutants(groups.get(name)) }));
+}
+
+/**
+ * Renders a mutation run as a report.
+ *
+ * @param {{ testCommand: string, mutants: object[], notApplied?: number }} run - Result of
+ *   runMutationTests().
+ * @param {'json'|'html'} format - One of MUTATION_REPORT_FORMATS.
+ * @param {{ version?: string }} [options={}]
+ *   - version: tool version recorded in JSON output
+ * @returns {string} The report text, ending with a newline.
+ * @throws {Error} If the format is unknown.
+ */
+export function formatMutationReport(run, format, options = {}) {
+  const { version = '0.0.0' } = options;
+  const report = toJson(run, version);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2) + '\n';
+    case 'html':
+      return toHtml(report);
+    default:
+      throw new Error(`mutation-report.formatMutationReport: unknown format "${format}"`);
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * mutator.js — Hydra Bugbot mutation testing
+ *
+ * The bug templates are mutation operators: every candidate injection in scope
+ * is a mutant. Each one is applied on its own in a scratch git worktree, the
+ * project's test command runs, and the change is reverted before the next.
+ * A mutant the tests catch is "killed"; one they miss "survived" — a hole in
+ * the test suite. The user's checkout is never modified.
+ *
+ * Exported API:
+ *   runMutationTests(options)  — test every mutant in scope and return the outcomes
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { findInjectionCandidates, applyCandidate } from './injector.js';
+import { addScratchWorktree, removeScratchWorktree, getRepoRoot } from '../utils/git.js';
+import { runTests, classifyMutant, DEFAULT_TEST_TIMEOUT_MS } from '../utils/test-runner.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { createRng, weightedShuffle } from '../utils/random.js';
+
+/**
+ * Untracked dependency directories the tests usually need. They are not part
+ * of a fresh worktree, so they are linked in from the checkout.
+ */
+const DEPENDENCY_DIRS = ['node_modules', '.venv', 'venv'];
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Symlinks the checkout's dependency directories into the same places in the
+ * worktree.
+ *
+ * @param {Array<[string, string]>} pairs - Checkout directories and their worktree counterparts.
+ * @returns {string[]} The links created, for removal afterwards.
+ */
+function linkDependencyDirs(pairs) {
+  const links = [];
+  for (const [from, to] of pairs) {
+    for (const name of DEPENDENCY_DIRS) {
+      const source = path.join(from, name);
+      const target = path.join(to, name);
+      if (!fs.existsSync(source) || fs.existsSync(target)) continue;
+      try {
+        fs.symlinkSync(source, target, 'dir');
+        links.push(target);
+      } catch {
+        // The tests will report what is missing
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Orders candidates by file, line and template so reports are stable, after
+ * keeping at most `maxMutants` of them. The sample is the first mutants in
+ * file order, or a random one when a seed is given.
+ *
+ * @param {object[]} candidates - Candidates from findInjectionCandidates().
+ * @param {number|undefined} maxMutants
+ * @param {string|number|undefined} seed
+ * @returns {object[]}
+ */
+function pickMutants(candidates, maxMutants, seed) {
+  const line = (candidate) => candidate.injectionPoint.loc?.start?.line ?? 0;
+  const byLocation = (a, b) =>
+    a.file.localeCompare(b.file) || line(a) - line(b) || a.template.name.localeCompare(b.template.name);
+
+  const ordered = [...candidates].sort(byLocation);
+  if (maxMutants == null || ordered.length <= maxMutants) return ordered;
+
+  const sample = seed == null
+    ? ordered.slice(0, maxMutants)
+    : weightedShuffle(ordered, () => 1, createRng(seed)).slice(0, maxMutants);
+  return sample.sort(byLocation);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs the test command against every mutant in scope, one at a time, in a
+ * scratch worktree checked out from HEAD. Uncommitted changes are not part of
+ * the worktree, so callers should make sure there are none.
+ *
+ * @param {object} options
+ * @param {string} options.testCmd - Shell command that runs the tests, e.g. "npm test".
+ * @param {number} [options.timeoutMs] - Time limit for one test run (default:
+ *   DEFAULT_TEST_TIMEOUT_MS). A mutant whose run hits it is reported as "timeout".
+ * @param {string} [options.scope='.'] - Directory to mutate, relative to the working directory.
+ * @param {string} [options.language] - Force a language ('javascript', 'python', 'go').
+ * @param {object} [options.filters] - Template and file filters (see injectBugs).
+ * @param {string[]} [options.skipDirs] - Extra directory names to skip.
+ * @param {number} [options.maxMutants] - Test at most this many mutants.
+ * @param {string|number} [options.seed] - With maxMutants, sample the mutants at random
+ *   from this seed instead of taking the first ones in file order.
+ * @param {(progress: { index: number, total: number, file: string, line: number, template: string }) => void} [options.onMutant] -
+ *   Called before each mutant's test run.
+ * @returns {Promise<{
+ *   testCommand: string,
+ *   baseline: { durationMs: number },
+ *   mutants: Array<{
+ *     file: string,
+ *     line: number,
+ *     template: string,
+ *     category: string,
+ *     description: string,
+ *     status: 'killed'|'survived'|'timeout',
+ *     reason: string|null,
+ *     durationMs: number,
+ *     diff: string
+ *   }>,
+ *   notApplied: number
+ * }>} `file` paths are relative to the repository root. `notApplied` counts candidates that
+ *   could not be applied (e.g. the result did not parse).
+ * @throws {Error} If the worktree cannot be created, or the tests fail or time out
+ *   without any mutant.
+ */
+export async function runMutationTests(options) {
+  const {
+    testCmd,
+    timeoutMs = DEFAULT_TEST_TIMEOUT_MS,
+    scope = '.',
+    language,
+    filters,
+    skipDirs,
+    maxMutants,
+    seed,
+    onMutant,
+  } = options;
+
+  const repoRoot = getRepoRoot();
+  const { adapter, candidates } = await findInjectionCandidates({}, { scope, language, filters, skipDirs });
+  const picked = pickMutants(candidates, maxMutants, seed);
+
+  const worktree = addScratchWorktree();
+  const testCwd = path.join(worktree, path.relative(repoRoot, process.cwd()));
+  const links = linkDependencyDirs([
+    [repoRoot, worktree],
+    [process.cwd(), testCwd],
+  ]);
+
+  try {
+    const baseline = await runTests(testCmd, { timeoutMs, cwd: testCwd });
+    if (baseline.timedOut) {
+      throw new Error(`mutator.runMutationTests: tests time out without any mutant (limit ${Math.round(timeoutMs / 1000)}s)`);
+    }
+    if (!baseline.passed) {
+      throw new Error(
+        `mutator.runMutationTests: tests fail without any mutant (exit code ${baseline.exitCode}); ` +
+          'mutation testing needs a passing suite'
+      );
+    }
+
+    const mutants = [];
+    let notApplied = 0;
+
+    for (let i = 0; i < picked.length; i++) {
+      const candidate = picked[i];
+      const file = path.relative(repoRoot, candidate.file).split(path.sep).join('/');
+      const line = candidate.injectionPoint.loc?.start?.line ?? 0;
+      onMutant?.({ index: i, total: picked.length, file, line, template: candidate.template.name });
+
+      const target = path.join(worktree, file);
+      const injection = applyCandidate({ ...candidate, file: target }, adapter);
+      if (!injection) {
+        notApplied++;
+        continue;
+      }
+
+      let result;
+      try {
+        result = await runTests(testCmd, { timeoutMs, cwd: testCwd });
+      } finally {
+        fs.writeFileSync(target, injection.originalCode, 'utf8');
+      }
+
+      const { status, reason } = classifyMutant(baseline, result);
+      mutants.push({
+        file,
+        line: injection.line,
+        template: injection.template,
+        category: injection.category,
+        description: injection.description,
+        status,
+        reason,
+        durationMs: result.durationMs,
+        diff: unifiedDiff(injection.originalCode, injection.injectedCode, { path: file }),
+      });
+    }
+
+    return { testCommand: testCmd, baseline: { durationMs: baseline.durationMs }, mutants, notApplied };
+  } finally {
+    for (const link of links) fs.rmSync(link, { force: true });
+    try {
+      removeScratchWorktree(worktree);
+    } catch {
+      fs.rmSync(worktree, { recursive: true, force: true });
+    }
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * report.js — Hydra Bugbot machine-readable scan reports
+ *
+ * Turns scan findings into JSON, SARIF 2.1.0 or Markdown so they can be
+ * uploaded to code-scanning dashboards or diffed between runs. Reports are
+ * deterministic: findings are sorted by file and line, paths are relative to
+ * the project root, and no timestamps are included.
+ *
+ * Exported API:
+ *   REPORT_FORMATS                          — supported format names
+ *   formatReport(scan, format, options)     — render a scan result in one format
+ */
+
+import path from 'node:path';
+import { FINDING_CATEGORIES } from './scanner.js';
+
+/**
+ * Supported report formats.
+ * @type {string[]}
+ */
+export const REPORT_FORMATS = ['json', 'sarif', 'markdown'];
+
+const TOOL_NAME = 'hydra-bugbot';
+const TOOL_URI = 'https://github.com/AdamFerguson06/hydra-bugbot';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/** Hydra severity → SARIF result level. */
+const SARIF_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+};
+
+/** Hydra severity → SARIF `security-severity` score, used by dashboards to rank results. */
+const SECURITY_SEVERITY = {
+  critical: '9.0',
+  high: '7.0',
+  medium: '5.0',
+  low: '2.0',
+};
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the findings with root-relative forward-slash paths, sorted by file then line.
+ *
+ * @param {object[]} bugs - Findings from scanDirectory().
+ * @param {string} root - Project root.
+ * @returns {object[]}
+ */
+function normaliseFindings(bugs, root) {
+  return bugs
+    .map((bug) => ({
+      file: path.relative(root, path.resolve(root, bug.file)).split(path.sep).join('/'),
+      line: bug.line,
+      severity: bug.severity,
+      category: bug.category ?? 'other',
+      description: bug.description,
+      suggestedFix: bug.suggestedFix,
+    }))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+/**
+ * Returns scan failures with root-relative paths.
+ *
+ * @param {Array<{ file: string, error: string }>} failures
+ * @param {string} root
+ * @returns {Array<{ file: string, error: string }>}
+ */
+function normaliseFailures(failures, root) {
+  return failures.map((failure) => ({
+    file: path.relative(root, failure.file).split(path.sep).join('/'),
+    error: failure.error,
+  }));
+}
+
+/**
+ * Returns findings rejected by validation with root-relative paths, or an
+ * empty list for scans made without validation.
+ *
+ * @param {{ rejected: object[] }|undefined} validation
+ * @param {string} root
+ * @returns {Array<{ file: string, line: number, description: string, reason: string }>}
+ */
+function normaliseRejected(validation, root) {
+  return (validation?.rejected ?? []).map((finding) => ({
+    ...finding,
+    file: path.relative(root, finding.file).split(path.sep).join('/'),
+  }));
+}
+
+/**
+ * SARIF rule id for a finding category.
+ *
+ * @param {string} category
+ * @returns {string}
+ */
+function ruleId(category) {
+  return `hydra/${category}`;
+}
+
+/**
+ * @param {object[]} findings - Normalised findings.
+ * @param {object[]} failures - Normalised failures.
+ * @param {object[]} rejected - Normalised rejected findings.
+ * @param {{ corrected?: number, repaired?: number }} validation - Validation counters.
+ * @param {{ baseline?: number, inline?: number }} suppressed - Findings left out by the baseline
+ *   and by hydra-ignore comments.
+ * @param {string} version - Tool version.
+ * @returns {object}
+ */
+function toJson(findings, failures, rejected, validation, suppressed, version) {
+  return {
+    tool: { name: TOOL_NAME, version },
+    summary: {
+      findings: findings.length,
+      failedFiles: failures.length,
+      correctedLines: validation.corrected ?? 0,
+      repairedResponses: validation.repaired ?? 0,
+      rejectedFindings: rejected.length,
+      baselineSuppressed: suppressed.baseline ?? 0,
+      inlineSuppressed: suppressed.inline ?? 0,
+    },
+    findings,
+    failures,
+    rejected,
+  };
+}
+
+/**
+ * Builds a SARIF 2.1.0 log with one rule per finding category in use.
+ *
+ * @param {object[]} findings - Normalised findings.
+ * @param {object[]} failures - Normalised failures, reported as tool notifications.
+ * @param {string} version - Tool version.
+ * @returns {object}
+ */
+function toSarif(findings, failures, version) {
+  const categories = Array.from(new Set(findings.map((f) => f.category))).sort();
+  const ruleIndex = new Map(categories.map((category, i) => [category, i]));
+
+  const rules = categories.map((category) => ({
+    id: ruleId(category),
+    name: category,
+    shortDescription: { text: FINDING_CATEGORIES[category] ?? category },
+    helpUri: TOOL_URI,
+    properties: { tags: ['bug', category] },
+  }));
+
+  const results = findings.map((finding) => {
+    const location = {
+      physicalLocation: {
+        artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+        ...(finding.line > 0 && { region: { startLine: finding.line } }),
+      },
+    };
+    const message = finding.suggestedFix
+      ? `${finding.description} Suggested fix: ${finding.suggestedFix}`
+      : finding.description;
+
+    return {
+      ruleId: ruleId(finding.category),
+      ruleIndex: ruleIndex.get(finding.category),
+      level: SARIF_LEVELS[finding.severity] ?? 'warning',
+      message: { text: message },
+      locations: [location],
+      properties: {
+        severity: finding.severity,
+        'security-severity': SECURITY_SEVERITY[finding.severity] ?? '5.0',
+      },
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: { name: TOOL_NAME, version, informationUri: TOOL_URI, rules },
+        },
+        invocations: [
+          {
+            executionSuccessful: failures.length === 0,
+            toolExecutionNotifications: failures.map((failure) => ({
+              level: 'error',
+              message: { text: failure.error },
+              locations: [
+                { physicalLocation: { artifactLocation: { uri: failure.file, uriBaseId: '%SRCROOT%' } } },
+              ],
+            })),
+          },
+        ],
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Escapes text for a Markdown table cell.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * @param {object[]} findings - Normalised findings.
+ * @param {object[]} failures - Normalised failures.
+ * @param {object[]} rejected - Normalised rejected findings.
+ * @returns {string}
+ */
+function toMarkdown(findings, failures, rejected) {
+  const lines = ['# Hydra Bugbot scan report', ''];
+
+  if (findings.length === 0) {
+    lines.push('No bugs found.');
+  } else {
+    lines.push(`${findings.length} finding(s).`, '');
+    lines.push('| Severity | Location | Category | Description | Suggested fix |');
+    lines.push('|----------|----------|----------|-------------|---------------|');
+    for (const f of findings) {
+      lines.push(
+        `| ${cell(f.severity)} | \`${cell(f.file)}:${f.line}\` | ${cell(f.category)} | ` +
+          `${cell(f.description)} | ${cell(f.suggestedFix)} |`
+      );
+    }
+  }
+
+  if (failures.length > 0) {
+    lines.push('', '## Files not scanned', '');
+    for (const failure of failures) {
+      lines.push(`- \`${failure.file}\` — ${failure.error}`);
+    }
+  }
+
+  if (rejected.length > 0) {
+    lines.push('', '## Rejected findings', '');
+    lines.push('Reported by the model but not matched to the source, so left out of the results above.', '');
+    for (const finding of rejected) {
+      lines.push(`- \`${finding.file}:${finding.line}\` — ${finding.reason}: ${cell(finding.description)}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Renders a scan result as a report.
+ *
+ * @param {{ bugs: object[], failures?: Array<{ file: string, error: string }>, validation?: object }} scan -
+ *   Result of scanDirectory().
+ * @param {'json'|'sarif'|'markdown'} format - One of REPORT_FORMATS.
+ * @param {{ root?: string, version?: string }} [options={}]
+ *   - root: paths in the report are made relative to this directory (default: cwd)
+ *   - version: tool version recorded in JSON and SARIF output
+ * @returns {string} The report text, ending with a newline.
+ * @throws {Error} If the format is unknown.
+ */
+export function formatReport(scan, format, options = {}) {
+  const { root = process.cwd(), version = '0.0.0' } = options;
+  const findings = normaliseFindings(scan.bugs, root);
+  const failures = normaliseFailures(scan.failures ?? [], root);
+  const rejected = normaliseRejected(scan.validation, root);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(toJson(findings, failures, rejected, scan.validation ?? {}, scan.suppressed ?? {}, version), null, 2) + '\n';
+    case 'sarif':
+      return JSON.stringify(toSarif(findings, failures, version), null, 2) + '\n';
+    case 'markdown':
+      return toMarkdown(findings, failures, rejected);
+    default:
+      throw new Error(`report.formatReport: unknown format "${format}"`);
+  }
+}
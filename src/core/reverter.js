@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { applyPatch } from '../utils/patch.js';
 
 /**
  * Resolves the absolute path to an injected bug's target file.
@@ -13,27 +14,34 @@ function resolveFilePath(filePath) {
 }
 
 /**
- * Reverts a single injected bug entry by restoring the full original file content
- * from the `originalCode` field stored in the manifest.
+ * Reverts a single injected bug entry by applying the reverse patch stored in
+ * the manifest's `revertPatch` field.
  *
- * The MVP strategy is full-file restore: `originalCode` holds the entire file
- * content as it existed before injection, making revert a straightforward write.
+ * The patch only touches the lines the injection changed, so later commits to
+ * the same file (real fixes, reviewer edits, other injections) survive. If the
+ * code around the injection has moved, the hunk is relocated; if it has changed
+ * beyond the fuzz limit, a conflict is reported and the file is left untouched.
+ *
+ * Manifests written before reverse patches existed only carry `originalCode`;
+ * those entries fall back to a full-file restore.
  *
  * @param {object} manifest - The loaded manifest object.
  * @param {string} bugId - The id of the injected bug to revert (e.g. "hydra-001").
- * @returns {{ success: boolean, error?: string }} Result object.
+ * @param {{ fuzz?: number }} [options={}] - Passed through to applyPatch().
+ * @returns {{ success: boolean, conflict?: boolean, alreadyReverted?: boolean, offset?: number, error?: string }}
+ *   Result object.
  */
-export function revertSingleInjection(manifest, bugId) {
+export function revertSingleInjection(manifest, bugId, options = {}) {
   const bug = manifest.injectedBugs.find((b) => b.id === bugId);
 
   if (!bug) {
     return { success: false, error: `Bug "${bugId}" not found in manifest.` };
   }
 
-  if (bug.originalCode == null) {
+  if (bug.revertPatch == null && bug.originalCode == null) {
     return {
       success: false,
-      error: `Bug "${bugId}" has no originalCode stored — cannot revert.`,
+      error: `Bug "${bugId}" has no revertPatch or originalCode stored — cannot revert.`,
     };
   }
 
@@ -46,9 +54,46 @@ export function revertSingleInjection(manifest, bugId) {
     };
   }
 
+  if (bug.revertPatch == null) {
+    try {
+      fs.writeFileSync(absPath, bug.originalCode, 'utf8');
+      return { success: true };
+    } catch (err) {
+      return {
+        success: false,
+        error: `Failed to write ${absPath}: ${err.message}`,
+      };
+    }
+  }
+
+  let current;
+  try {
+    current = fs.readFileSync(absPath, 'utf8');
+  } catch (err) {
+    return {
+      success: false,
+      error: `Failed to read ${absPath}: ${err.message}`,
+    };
+  }
+
+  const result = applyPatch(current, bug.revertPatch, options);
+
+  if (result.alreadyApplied) {
+    return { success: true, alreadyReverted: true };
+  }
+
+  if (!result.applied) {
+    const lines = result.conflicts.map((c) => c.oldStart).join(', ');
+    return {
+      success: false,
+      conflict: true,
+      error: `Conflict in ${bug.file}: injected code near line ${lines} has changed since injection — resolve manually.`,
+    };
+  }
+
   try {
-    fs.writeFileSync(absPath, bug.originalCode, 'utf8');
-    return { success: true };
+    fs.writeFileSync(absPath, result.content, 'utf8');
+    return { success: true, offset: result.offsets[0] ?? 0 };
   } catch (err) {
     return {
       success: false,
@@ -58,32 +103,29 @@ export function revertSingleInjection(manifest, bugId) {
 }
 
 /**
- * Reverts all injected bugs in the manifest by restoring the original file content
- * for each entry. Bugs are processed in reverse insertion order so that multiple
- * injections into the same file are unwound correctly (last-in, first-out).
+ * Reverts all injected bugs in the manifest by applying each entry's reverse
+ * patch. Bugs are processed in reverse insertion order so that overlapping
+ * injections into the same file unwind last-in, first-out; non-overlapping ones
+ * revert independently of order thanks to hunk relocation.
  *
  * @param {object} manifest - The loaded manifest object.
- * @returns {{ reverted: number, errors: string[] }} Summary of the revert operation.
+ * @param {{ fuzz?: number }} [options={}] - Passed through to revertSingleInjection().
+ * @returns {{ reverted: number, conflicts: number, errors: string[] }} Summary of the revert operation.
  */
-export function revertAllInjections(manifest) {
-  const summary = { reverted: 0, errors: [] };
+export function revertAllInjections(manifest, options = {}) {
+  const summary = { reverted: 0, conflicts: 0, errors: [] };
 
-  // Reverse order: if multiple bugs touched the same file, the last injection's
-  // originalCode represents the state just before that injection, so we need to
-  // unwind from the most recent injection backwards to reach the true original.
+  // Reverse order: a later injection may sit on top of lines an earlier one
+  // changed, so its reverse patch must be applied first for the earlier patch's
+  // context to match again.
   const bugsInReverseOrder = [...manifest.injectedBugs].reverse();
 
-  // Track which files we have already reverted in this pass.
-  // Because originalCode is the full file snapshot taken before each individual
-  // injection, reverting in reverse order means the first revert we apply to a
-  // file restores it to the state before the last injection. Subsequent reverts
-  // for the same file in this loop would overwrite that with an earlier snapshot,
-  // which is correct for a serial injection chain.
   for (const bug of bugsInReverseOrder) {
-    const result = revertSingleInjection(manifest, bug.id);
+    const result = revertSingleInjection(manifest, bug.id, options);
     if (result.success) {
       summary.reverted += 1;
     } else {
+      if (result.conflict) summary.conflicts += 1;
       summary.errors.push(`[${bug.id}] ${result.error}`);
     }
   }
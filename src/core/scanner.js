@@ -1,18 +1,71 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { getLLMClient, chatCompletion } from '../utils/llm.js';
-import { getAllSupportedExtensions, getExtensionsForLanguage } from '../languages/index.js';
+import {
+  detectLanguage,
+  getAdapter,
+  getAllSupportedExtensions,
+  getExtensionsForLanguage,
+} from '../languages/index.js';
+import { matchesAnyGlob } from '../utils/glob.js';
+import { chunkSource } from '../utils/chunker.js';
+import { createRequestBudget, mapConcurrent, withRetry } from '../utils/retry.js';
+import { hashContent, readCache, writeCache } from '../utils/cache.js';
+import { validateFindings } from './findings.js';
+import { buildImportContext } from './context.js';
+import { fingerprintFinding, hasInlineIgnore } from './baseline.js';
+
+/**
+ * Version of the scan prompt and response handling. Part of every cache key:
+ * bump it whenever buildScanPrompt() or finding post-processing changes, so
+ * results produced the old way are not reused.
+ */
+const SCAN_PROMPT_VERSION = 5;
+
+/**
+ * Finding categories the scan prompt asks the model to choose from. Anything
+ * else the model returns is normalised to `other`.
+ * @type {Record<string, string>} Category id → human-readable name.
+ */
+export const FINDING_CATEGORIES = {
+  logic: 'Logic error',
+  'off-by-one': 'Off-by-one error',
+  resource: 'Resource leak',
+  concurrency: 'Race condition or missing await',
+  'null-safety': 'Null/undefined dereference',
+  security: 'Security issue',
+  'error-handling': 'Incorrect error handling',
+  other: 'Other bug',
+};
+
+/** Files scanned in parallel when no concurrency is given. */
+const DEFAULT_CONCURRENCY = 4;
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
 
 /**
  * Recursively collects all file paths under a directory, filtering to supported extensions.
  * @param {string} dir - Absolute path to the directory to walk.
- * @param {{ language?: string }} [options={}]
+ * @param {{
+ *   language?: string,
+ *   include?: string[],
+ *   exclude?: string[],
+ *   skipDirs?: string[],
+ *   onlyFiles?: string[]
+ * }} [options={}]
+ *   - include / exclude: file globs relative to the project root (see utils/glob.js)
+ *   - skipDirs: extra directory names to skip, on top of the built-in list
+ *   - onlyFiles: absolute paths; when set, any other file is skipped
  * @returns {string[]} Sorted list of matching absolute file paths.
  */
 function walkDirectory(dir, options = {}) {
   const extensions = options.language
     ? getExtensionsForLanguage(options.language)
     : getAllSupportedExtensions();
+  const include = options.include ?? [];
+  const exclude = options.exclude ?? [];
+  const extraSkipDirs = new Set(options.skipDirs ?? []);
+  const onlyFiles = options.onlyFiles ? new Set(options.onlyFiles) : null;
 
   const results = [];
 
@@ -40,7 +93,8 @@ function walkDirectory(dir, options = {}) {
           entry.name === 'vendor' ||
           entry.name === '.tox' ||
           entry.name === '.mypy_cache' ||
-          entry.name === '.eggs')
+          entry.name === '.eggs' ||
+          extraSkipDirs.has(entry.name))
       ) {
         continue;
       }
@@ -50,6 +104,9 @@ function walkDirectory(dir, options = {}) {
       if (entry.isDirectory()) {
         walk(full);
       } else if (entry.isFile() && extensions.has(path.extname(entry.name))) {
+        if (onlyFiles && !onlyFiles.has(full)) continue;
+        if (include.length > 0 && !matchesAnyGlob(full, include)) continue;
+        if (matchesAnyGlob(full, exclude)) continue;
         results.push(full);
       }
     }
@@ -61,16 +118,32 @@ function walkDirectory(dir, options = {}) {
 
 /**
  * Builds the prompt sent to Claude for bug scanning.
- * @param {string} filePath - Relative or absolute path of the file (used in context).
- * @param {string} content - Full source code content of the file.
- * @param {{ severity?: string, language?: string }} options
+ * @param {string} filePath - Path of the file relative to the working directory. Absolute
+ *   paths would tie the prompt, and so recorded cassettes, to one checkout location.
+ * @param {string} content - Source code to review: the whole file, or one chunk of it.
+ * @param {{ severity?: string, language?: string, context?: string }} options - `context`
+ *   holds signatures from imported modules (see context.js), shown ahead of the file.
+ * @param {{ startLine: number, endLine: number, totalLines: number }} [chunk] - Set when
+ *   `content` is an excerpt; line numbers are then requested relative to the excerpt.
  * @returns {string}
  */
-function buildScanPrompt(filePath, content, options) {
+function buildScanPrompt(filePath, content, options, chunk) {
   const severityFilter = options.severity
     ? `Only report bugs of severity "${options.severity}" or higher (low < medium < high < critical).`
     : 'Report bugs of any severity.';
 
+  const excerptNote = chunk
+    ? `\nThis is an excerpt: lines ${chunk.startLine}-${chunk.endLine} of ${chunk.totalLines}. ` +
+      'Code outside the excerpt is not shown, so do not report symbols as undefined just because ' +
+      'their definition is missing. Report line numbers relative to the excerpt (its first line is line 1).\n'
+    : '';
+
+  const importContext = options.context
+    ? 'Declarations from modules this file imports (signatures only). Use them to check calls, ' +
+      'arguments and return values that cross into those modules; do not report bugs in them.\n' +
+      `\`\`\`\n${options.context}\n\`\`\`\n\n`
+    : '';
+
   return `You are a senior software engineer performing a thorough code review for real bugs.
 
 Analyze the following file and identify genuine bugs — NOT style issues, missing docs, or subjective improvements.
@@ -86,8 +159,8 @@ Focus specifically on:
 
 ${severityFilter}
 
-File: ${filePath}
-
+${importContext}File: ${filePath}
+${excerptNote}
 \`\`\`
 ${content}
 \`\`\`
@@ -96,8 +169,10 @@ Respond ONLY with a valid JSON array. Each element must have exactly these field
 {
   "file": "${filePath}",
   "line": <integer line number where the bug is located>,
+  "snippet": "<the code on that line, copied exactly from the file>",
   "description": "<one concise sentence describing the bug and its impact>",
   "severity": "<one of: low | medium | high | critical>",
+  "category": "<one of: ${Object.keys(FINDING_CATEGORIES).join(' | ')}>",
   "suggestedFix": "<one concise sentence describing what should be changed>"
 }
 
@@ -107,39 +182,96 @@ Do not include any text outside the JSON array.`;
 }
 
 /**
- * Sends file content to the LLM and parses the returned bug list.
- * @param {string} filePath - Path of the file being scanned.
- * @param {string} content - Source code content.
- * @param {object} llm - LLM client from getLLMClient().
- * @param {{ severity?: string, language?: string }} options
- * @returns {Promise<object[]>} Array of bug objects.
+ * Builds the follow-up prompt sent when a scan response is not a valid JSON array.
+ * @param {string} raw - The unparseable response.
+ * @returns {string}
  */
-async function scanSingleFile(filePath, content, llm, options) {
-  const prompt = buildScanPrompt(filePath, content, options);
+function buildRepairPrompt(raw) {
+  return `The following response was supposed to be a JSON array of bug reports, but it is not valid JSON.
 
-  let raw;
-  try {
-    raw = await chatCompletion(llm, prompt, 4096);
-  } catch (err) {
-    if (err.status === 429) {
-      throw new Error(`Rate limit hit while scanning ${filePath}. Wait a moment and retry.`);
-    }
-    throw new Error(`API error while scanning ${filePath}: ${err.message}`);
-  }
+\`\`\`
+${raw}
+\`\`\`
+
+Rewrite it as a valid JSON array with the same bug reports. Each element must have the fields
+"file", "line", "snippet", "description", "severity", "category" and "suggestedFix".
+If it contains no bug reports, respond with an empty array: []
+
+Do not include any text outside the JSON array.`;
+}
 
+/**
+ * Parses a scan response into an array, tolerating markdown code fences.
+ * @param {string} raw
+ * @returns {object[]|null} The parsed array, or null if the response is not a JSON array.
+ */
+function parseFindings(raw) {
   // Strip markdown code fences if Claude wrapped the JSON
   const jsonText = raw.replace(/^```(?:json)?\n?/i, '').replace(/\n?```$/i, '').trim();
 
-  let bugs;
   try {
-    bugs = JSON.parse(jsonText);
+    const parsed = JSON.parse(jsonText);
+    return Array.isArray(parsed) ? parsed : null;
   } catch {
-    // If parsing fails, return empty rather than crashing the whole scan
-    return [];
+    return null;
+  }
+}
+
+/**
+ * Sends one prompt to the LLM. Rate limits and transient failures are retried
+ * with backoff; every attempt counts against the run's request budget.
+ * @param {string} prompt
+ * @param {string} filePath - Path of the file being scanned.
+ * @param {object} run - LLM client, budget and retries (see requestFindings()).
+ * @param {string} where - Suffix for error messages.
+ * @returns {Promise<string>} The raw response text.
+ */
+async function complete(prompt, filePath, run, where) {
+  try {
+    return await withRetry(
+      () => {
+        run.budget.take();
+        return chatCompletion(run.llm, prompt, 4096);
+      },
+      { retries: run.retries }
+    );
+  } catch (err) {
+    if (err.code === 'BUDGET_EXHAUSTED') {
+      throw new Error(`${err.message}; ${filePath}${where} was not scanned`);
+    }
+    if (err.status === 429) {
+      throw new Error(`Rate limit hit while scanning ${filePath}${where}, still failing after retries`);
+    }
+    const wrapped = new Error(`API error while scanning ${filePath}${where}: ${err.message}`);
+    // A replay miss is a configuration error; callers fail the run on it
+    if (err.code === 'CASSETTE_MISS') wrapped.code = err.code;
+    throw wrapped;
   }
+}
 
-  if (!Array.isArray(bugs)) {
-    return [];
+/**
+ * Sends one prompt to the LLM and parses the returned bug list. A response
+ * that is not a JSON array gets one repair request; if that fails too, the
+ * file is reported as a scan failure instead of silently yielding no bugs.
+ * @param {string} prompt - Prompt from buildScanPrompt().
+ * @param {string} filePath - Path of the file being scanned.
+ * @param {{ llm: object, budget: object, retries?: number, validation: object }} run - LLM
+ *   client from getLLMClient(), budget from createRequestBudget(), retries per request,
+ *   and the run's validation counters (see scanFiles()).
+ * @param {string} [where=''] - Suffix for error messages, e.g. " (lines 1-400)".
+ * @returns {Promise<object[]>} Array of bug objects, with line numbers as reported.
+ * @throws {Error} If the response cannot be parsed even after the repair request.
+ */
+async function requestFindings(prompt, filePath, run, where = '') {
+  const raw = await complete(prompt, filePath, run, where);
+  let bugs = parseFindings(raw);
+
+  if (!bugs) {
+    bugs = parseFindings(await complete(buildRepairPrompt(raw), filePath, run, where));
+    if (!bugs) {
+      throw new Error(`Unparseable response while scanning ${filePath}${where}, even after a repair request`);
+    }
+    run.validation.repaired++;
   }
 
   // Normalise: ensure each bug has the expected shape
@@ -148,49 +280,306 @@ async function scanSingleFile(filePath, content, llm, options) {
     .map((b) => ({
       file: String(b.file ?? filePath),
       line: Number(b.line) || 0,
+      snippet: typeof b.snippet === 'string' ? b.snippet : '',
       description: String(b.description ?? ''),
       severity: String(b.severity ?? 'medium'),
+      category: Object.hasOwn(FINDING_CATEGORIES, b.category) ? b.category : 'other',
       suggestedFix: String(b.suggestedFix ?? ''),
     }));
 }
 
+/**
+ * Validates one file's findings against its source (see findings.js), adding
+ * corrections and rejections to the run's validation counters.
+ * @param {object[]} bugs - Findings with file-absolute line numbers.
+ * @param {string} filePath
+ * @param {string} content
+ * @param {object} run
+ * @param {string} [scope] - Absolute scan directory.
+ * @returns {object[]} The accepted findings.
+ */
+function keepValidFindings(bugs, filePath, content, run, scope) {
+  const { accepted, corrected, rejected } = validateFindings(bugs, { filePath, content, scope });
+  run.validation.corrected += corrected;
+  for (const { finding, reason } of rejected) {
+    run.validation.rejected.push({
+      file: filePath,
+      line: finding.line,
+      description: finding.description,
+      reason,
+    });
+  }
+  return accepted;
+}
+
+/**
+ * Returns true if two descriptions share at least half their words, ignoring
+ * case and punctuation — the same bug reported by two overlapping chunks.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function similarDescriptions(a, b) {
+  const words = (text) => new Set(text.toLowerCase().split(/\W+/).filter((w) => w.length > 2));
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 || wb.size === 0) return a.trim() === b.trim();
+
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared) >= 0.5;
+}
+
+/**
+ * Merges findings reported more than once by overlapping chunks: same line
+ * (within two lines) and a similar description. The more severe copy is kept.
+ * @param {object[]} bugs - Findings with file-absolute line numbers.
+ * @returns {object[]}
+ */
+function mergeChunkFindings(bugs) {
+  const merged = [];
+  for (const bug of bugs) {
+    const index = merged.findIndex(
+      (other) =>
+        Math.abs(other.line - bug.line) <= 2 && similarDescriptions(other.description, bug.description)
+    );
+    if (index === -1) {
+      merged.push(bug);
+    } else if ((SEVERITY_RANK[bug.severity] ?? 1) > (SEVERITY_RANK[merged[index].severity] ?? 1)) {
+      merged[index] = bug;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Drops findings outside the given line ranges. The whole file is still
+ * scanned (and cached) so the model sees full context.
+ * @param {object[]} bugs - Findings for one file.
+ * @param {Array<{ start: number, end: number }>|null|undefined} ranges
+ * @returns {object[]}
+ */
+function keepChangedLines(bugs, ranges) {
+  if (!ranges) return bugs;
+  return bugs.filter((bug) => ranges.some((range) => bug.line >= range.start && bug.line <= range.end));
+}
+
+/**
+ * Scans one file. Files too large for a single prompt are split into
+ * overlapping chunks at declaration boundaries from the language adapter;
+ * each chunk is scanned separately, its line numbers are mapped back to the
+ * file, and duplicates from the overlaps are merged. Findings are then
+ * validated against the file content.
+ * @param {string} filePath - Path of the file being scanned.
+ * @param {string} content - Source code content.
+ * @param {object} run - LLM client, budget, retries and validation counters (see requestFindings()).
+ * @param {{
+ *   severity?: string,
+ *   language?: string,
+ *   chunkChars?: number,
+ *   scope?: string,
+ *   context?: string
+ * }} options - `context` is the imported-module context from buildImportContext().
+ * @returns {Promise<object[]>} Array of validated bug objects.
+ */
+async function scanSingleFile(filePath, content, run, options) {
+  let boundaries = [];
+  try {
+    const adapter = await getAdapter(detectLanguage(filePath));
+    boundaries = adapter.findBlockBoundaries?.(content) ?? [];
+  } catch {
+    // No adapter — chunk on plain line limits
+  }
+
+  const chunks = chunkSource(content, boundaries, { maxChars: options.chunkChars });
+  const promptPath = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+
+  if (chunks.length === 1) {
+    const found = await requestFindings(buildScanPrompt(promptPath, content, options), filePath, run);
+    return keepValidFindings(found, filePath, content, run, options.scope);
+  }
+
+  const totalLines = content.split('\n').length;
+  const bugs = [];
+
+  for (const chunk of chunks) {
+    const prompt = buildScanPrompt(promptPath, chunk.content, options, { ...chunk, totalLines });
+    const where = ` (lines ${chunk.startLine}-${chunk.endLine})`;
+    const found = await requestFindings(prompt, filePath, run, where);
+
+    for (const bug of found) {
+      // Map excerpt-relative lines back to the file, clamped to the chunk
+      const line = bug.line > 0
+        ? Math.min(chunk.startLine + bug.line - 1, chunk.endLine)
+        : 0;
+      bugs.push({ ...bug, line });
+    }
+  }
+
+  return mergeChunkFindings(keepValidFindings(bugs, filePath, content, run, options.scope));
+}
+
 /**
  * Scans an array of source files for real bugs using the Claude API.
  *
+ * Files are scanned by a bounded pool of concurrent workers. A file whose
+ * requests still fail after retries (or that the request budget no longer
+ * covers) is reported in `failures` rather than aborting the run. Failures
+ * caused by a replay miss carry `code: 'CASSETTE_MISS'`.
+ *
+ * Findings are cached in `.hydra-cache/scan/`, keyed by the file's content and
+ * path, the prompt version, the model and the options that shape the prompt,
+ * so unchanged files are not sent again.
+ *
+ * Each prompt includes the exported signatures of the local modules the file
+ * imports (see context.js), within `contextTokens`, so bugs across call
+ * boundaries are visible.
+ *
+ * Findings accepted in the baseline (see baseline.js) or marked with a
+ * `hydra-ignore` comment are left out and counted in `suppressed`.
+ *
+ * Every finding is validated against the scanned source (see findings.js):
+ * misreported lines are corrected from the quoted snippet, and findings that
+ * cannot be matched to the file are rejected and listed in `validation`.
+ *
  * @param {string[]} files - Array of absolute file paths to scan.
- * @param {{ severity?: string, language?: string }} [options={}]
+ * @param {{
+ *   severity?: string,
+ *   language?: string,
+ *   llm?: object,
+ *   chunkChars?: number,
+ *   concurrency?: number,
+ *   retries?: number,
+ *   maxRequests?: number,
+ *   cache?: boolean,
+ *   lineRanges?: Map<string, Array<{ start: number, end: number }>|null>,
+ *   scope?: string,
+ *   contextTokens?: number,
+ *   baseline?: { findings: Array<{ fingerprint: string }> }|null
+ * }} [options={}]
  *   - severity: minimum severity to report ('low' | 'medium' | 'high' | 'critical')
  *   - language: hint for the language being scanned (informational, not used to filter files)
- * @returns {Promise<Array<{
- *   file: string,
- *   line: number,
- *   description: string,
- *   severity: string,
- *   suggestedFix: string
- * }>>} Flat array of all bugs found across all files.
+ *   - llm: provider settings passed to getLLMClient()
+ *   - chunkChars: files larger than this many characters are scanned in chunks
+ *     (default: DEFAULT_CHUNK_CHARS from utils/chunker.js)
+ *   - concurrency: files scanned in parallel (default: 4)
+ *   - retries: retries per LLM request on rate limits and transient errors (default: 4)
+ *   - maxRequests: LLM requests allowed for the whole run, retries included (default: unlimited)
+ *   - cache: set to false to ignore and not update the scan cache
+ *   - lineRanges: per absolute file path, only keep findings inside these line ranges
+ *     (null or a missing entry keeps every finding; see git.getChangedLineRanges())
+ *   - scope: absolute scan directory; findings for files outside it are rejected
+ *   - contextTokens: token budget for imported-module signatures per file
+ *     (default: DEFAULT_CONTEXT_TOKENS from context.js; 0 disables cross-file context)
+ *   - baseline: accepted findings from loadBaseline(); matching findings are not reported
+ * @returns {Promise<{
+ *   bugs: Array<{
+ *     file: string,
+ *     line: number,
+ *     snippet: string,
+ *     description: string,
+ *     severity: string,
+ *     category: string,
+ *     suggestedFix: string
+ *   }>,
+ *   failures: Array<{ file: string, error: string, code?: string }>,
+ *   scannedFiles: string[],
+ *   requests: number,
+ *   cacheHits: number,
+ *   suppressed: { baseline: number, inline: number },
+ *   validation: {
+ *     corrected: number,
+ *     repaired: number,
+ *     rejected: Array<{ file: string, line: number, description: string, reason: string }>
+ *   }
+ * }>} All bugs found (in file order), the files that could not be scanned, the
+ *   files that were (from the LLM or the cache), the number of LLM requests
+ *   made, how many files were served from the cache, how many findings the
+ *   baseline and inline comments suppressed, and what validation did: line numbers corrected, responses repaired into valid
+ *   JSON, and findings rejected. Cached files contribute no validation counts.
  */
 export async function scanFiles(files, options = {}) {
-  const llm = getLLMClient();
-  const allBugs = [];
-
-  for (const filePath of files) {
+  const run = {
+    llm: getLLMClient(options.llm),
+    budget: createRequestBudget(options.maxRequests ?? Infinity),
+    retries: options.retries,
+    validation: { corrected: 0, repaired: 0, rejected: [] },
+  };
+  const failures = [];
+  const accepted = new Set((options.baseline?.findings ?? []).map((entry) => entry.fingerprint));
+  const suppressed = { baseline: 0, inline: 0 };
+  let cacheHits = 0;
+
+  const perFile = await mapConcurrent(files, options.concurrency ?? DEFAULT_CONCURRENCY, async (filePath) => {
     let content;
     try {
       content = fs.readFileSync(filePath, 'utf8');
     } catch (err) {
       // Skip unreadable files silently; caller can log if needed
-      continue;
+      return [];
     }
 
     if (!content.trim()) {
-      continue;
+      return [];
     }
 
-    const bugs = await scanSingleFile(filePath, content, llm, options);
-    allBugs.push(...bugs);
-  }
+    const context = options.contextTokens === 0
+      ? ''
+      : await buildImportContext(filePath, content, { maxTokens: options.contextTokens });
+
+    const cacheKey = options.cache === false
+      ? null
+      : hashContent(
+        SCAN_PROMPT_VERSION,
+        run.llm.provider,
+        run.llm.model,
+        path.relative(process.cwd(), filePath),
+        options.severity ?? '',
+        options.chunkChars ?? '',
+        content,
+        context
+      );
+
+    let bugs = cacheKey ? readCache('scan', cacheKey) : null;
+    if (bugs) {
+      cacheHits++;
+    } else {
+      try {
+        bugs = await scanSingleFile(filePath, content, run, { ...options, context });
+        if (cacheKey) writeCache('scan', cacheKey, bugs);
+      } catch (err) {
+        failures.push({ file: filePath, error: err.message, code: err.code });
+        return [];
+      }
+    }
 
-  return allBugs;
+    // Suppression runs after the cache so baseline edits apply without a rescan
+    return bugs.filter((bug) => {
+      if (hasInlineIgnore(content, bug.line)) {
+        suppressed.inline++;
+        return false;
+      }
+      if (accepted.has(fingerprintFinding(bug))) {
+        suppressed.baseline++;
+        return false;
+      }
+      return true;
+    });
+  });
+
+  failures.sort((a, b) => a.file.localeCompare(b.file));
+  const failed = new Set(failures.map((failure) => failure.file));
+  const bugs = perFile.flatMap((fileBugs, i) => keepChangedLines(fileBugs, options.lineRanges?.get(files[i])));
+  run.validation.rejected.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  return {
+    bugs,
+    failures,
+    scannedFiles: files.filter((file) => !failed.has(file)),
+    requests: run.budget.used,
+    cacheHits,
+    suppressed,
+    validation: run.validation,
+  };
 }
 
 /**
@@ -199,16 +588,40 @@ export async function scanFiles(files, options = {}) {
  * Skips node_modules, .git, dist, build, .next, and coverage directories.
  *
  * @param {string} scope - Absolute (or relative) path to the directory to scan.
- * @param {{ severity?: string, language?: string }} [options={}]
+ * @param {{
+ *   severity?: string,
+ *   language?: string,
+ *   include?: string[],
+ *   exclude?: string[],
+ *   skipDirs?: string[],
+ *   llm?: object,
+ *   chunkChars?: number,
+ *   concurrency?: number,
+ *   retries?: number,
+ *   maxRequests?: number,
+ *   cache?: boolean,
+ *   onlyFiles?: string[],
+ *   lineRanges?: Map<string, Array<{ start: number, end: number }>|null>,
+ *   contextTokens?: number,
+ *   baseline?: object|null
+ * }} [options={}]
  *   - severity: minimum severity to report ('low' | 'medium' | 'high' | 'critical')
  *   - language: hint for the language being scanned
- * @returns {Promise<Array<{
- *   file: string,
- *   line: number,
- *   description: string,
- *   severity: string,
- *   suggestedFix: string
- * }>>} Flat array of all bugs found across all discovered files.
+ *   - include / exclude: file globs limiting which files are scanned
+ *   - skipDirs: extra directory names to skip
+ *   - llm: provider settings passed to getLLMClient()
+ *   - chunkChars: files larger than this many characters are scanned in chunks
+ *   - onlyFiles: absolute paths; only these files (if inside the scope) are scanned
+ *   - concurrency / retries / maxRequests / cache / lineRanges / contextTokens / baseline: see scanFiles()
+ * @returns {Promise<{
+ *   bugs: object[],
+ *   failures: object[],
+ *   scannedFiles: string[],
+ *   requests: number,
+ *   cacheHits: number,
+ *   suppressed: object,
+ *   validation: object
+ * }>} Same shape as scanFiles(), covering all discovered files.
  */
 export async function scanDirectory(scope, options = {}) {
   const resolved = path.resolve(scope);
@@ -222,6 +635,12 @@ export async function scanDirectory(scope, options = {}) {
     throw new Error(`Path is not a directory: ${resolved}`);
   }
 
-  const files = walkDirectory(resolved, { language: options.language });
-  return scanFiles(files, options);
+  const files = walkDirectory(resolved, {
+    language: options.language,
+    include: options.include,
+    exclude: options.exclude,
+    skipDirs: options.skipDirs,
+    onlyFiles: options.onlyFiles,
+  });
+  return scanFiles(files, { ...options, scope: resolved });
 }
@@ -14,7 +14,14 @@
 
 import path from 'node:path';
 import fs from 'node:fs';
-import { parseLines, generateFromLines, extractImportsByRegex } from '../utils/regex-parser.js';
+import {
+  parseLines,
+  generateFromLines,
+  extractImportsByRegex,
+  findBlockStarts,
+  collectDeclarations,
+} from '../utils/regex-parser.js';
+import { checkGoSyntax } from '../utils/syntax-check.js';
 
 // ---------------------------------------------------------------------------
 // Internal helpers
@@ -39,9 +46,9 @@ async function loadTemplates() {
     return [];
   }
 
-  const jsFiles = entries.filter(
-    (f) => f.endsWith('.js') && f !== 'index.js'
-  );
+  const jsFiles = entries
+    .filter((f) => f.endsWith('.js') && f !== 'index.js')
+    .sort(); // deterministic ordering (seeded selection depends on it)
 
   if (jsFiles.length === 0) return [];
 
@@ -57,6 +64,63 @@ async function loadTemplates() {
   return loaded.filter(Boolean);
 }
 
+/**
+ * Finds the nearest go.mod at or above `dir` and returns its module path.
+ *
+ * @param {string} dir
+ * @returns {{ root: string, module: string }|null}
+ */
+function findGoModule(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    const goMod = path.join(current, 'go.mod');
+    if (fs.existsSync(goMod)) {
+      const match = fs.readFileSync(goMod, 'utf8').match(/^module\s+(\S+)/m);
+      return match ? { root: current, module: match[1] } : null;
+    }
+    if (path.dirname(current) === current) return null;
+  }
+}
+
+/**
+ * Resolves a Go import path to the package's files, for packages inside the
+ * importing file's own module (per its go.mod). Standard-library and
+ * third-party packages resolve to nothing.
+ *
+ * @param {string} specifier - Import path from extractImports().
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @returns {string[]} The package's non-test `.go` files, sorted.
+ */
+function resolveImport(specifier, fromFile) {
+  const mod = findGoModule(path.dirname(fromFile));
+  if (!mod) return [];
+  if (specifier !== mod.module && !specifier.startsWith(`${mod.module}/`)) return [];
+
+  const dir = path.join(mod.root, specifier.slice(mod.module.length));
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.go') && !f.endsWith('_test.go'))
+      .sort()
+      .map((f) => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Returns exported type declarations (with their fields or methods) and
+ * exported function signatures, types first.
+ *
+ * @param {string} source - Full source code of the file.
+ * @returns {string[]}
+ */
+function extractSignatures(source) {
+  const types = collectDeclarations(source, /^type\s+[A-Z]/, /^\}|^type\s+\w+\s+[^{]*$/, 30);
+  const funcs = collectDeclarations(source, /^func\s+(?:\([^)]*\)\s*)?[A-Z]/, /\{\s*$/, 5)
+    .map((signature) => signature.replace(/\s*\{\s*$/, ''));
+  return [...types, ...funcs];
+}
+
 // ---------------------------------------------------------------------------
 // Public factory
 // ---------------------------------------------------------------------------
@@ -74,6 +138,10 @@ async function loadTemplates() {
  *   parseFile: (source: string, filename: string) => { lines: string[], source: string },
  *   generateCode: (parsed: { lines: string[] }, originalSource: string) => string,
  *   extractImports: (parsed: { source: string }) => string[],
+ *   findBlockBoundaries: (source: string) => number[],
+ *   resolveImport: (specifier: string, fromFile: string, root: string) => string[],
+ *   extractSignatures: (source: string) => string[],
+ *   checkSyntax: (source: string) => { line: number, message: string }|null,
  *   templates: object[],
  *   categories: string[],
  *   skipDirs: Set<string>
@@ -127,6 +195,41 @@ export async function getGoAdapter() {
       ]);
     },
 
+    /**
+     * Finds the lines where top-level funcs and types start (including their
+     * doc comments), so large files can be scanned in chunks that do not cut
+     * through a declaration.
+     *
+     * @param {string} source - Full source code of the file.
+     * @returns {number[]} Ascending 1-based line numbers.
+     */
+    findBlockBoundaries(source) {
+      return findBlockStarts(source, /^(?:func|type)\s/, /^\/\//);
+    },
+
+    /**
+     * Resolve an import path to the package's files within the same module.
+     * @param {string} specifier
+     * @param {string} fromFile
+     * @returns {string[]}
+     */
+    resolveImport,
+
+    /**
+     * Exported types and function signatures, used as context when scanning importers.
+     * @param {string} source
+     * @returns {string[]}
+     */
+    extractSignatures,
+
+    /**
+     * First syntax error in the source, or null; used to validate injections,
+     * since regex templates can leave code that no longer compiles.
+     * @param {string} source
+     * @returns {{ line: number, message: string }|null}
+     */
+    checkSyntax: checkGoSyntax,
+
     /**
      * Loaded bug templates for Go.
      * @type {object[]}
@@ -12,7 +12,8 @@
  *
  * Exported API:
  *   detectLanguage(filePath)          — detect language from file extension
- *   getAdapter(language)              — load (and cache) a language adapter
+ *   getAdapter(language, filters)     — load (and cache) a language adapter, optionally
+ *                                       narrowed to a filtered template set
  *   getAllSupportedExtensions()       — Set of all known extensions
  *   getExtensionsForLanguage(lang)    — Set of extensions for one language
  *   getSupportedLanguages()           — array of registered language names
@@ -69,34 +70,16 @@ const ADAPTER_LOADERS = new Map([
 const _adapterCache = new Map();
 
 // ---------------------------------------------------------------------------
-// Public API
+// Adapter loading
 // ---------------------------------------------------------------------------
 
 /**
- * Detects the language for a given file path by examining its extension.
- * The comparison is case-insensitive to handle platforms that allow
- * mixed-case file extensions.
- *
- * @param {string} filePath - Absolute or relative path to a source file.
- * @returns {string|null} Language name ('javascript', 'python', 'go'), or null if unsupported.
- */
-export function detectLanguage(filePath) {
-  if (!filePath || typeof filePath !== 'string') {
-    return null;
-  }
-  const ext = path.extname(filePath).toLowerCase();
-  return EXTENSION_MAP.get(ext) ?? null;
-}
-
-/**
- * Returns the adapter for a given language name.
- * Adapters are cached after the first load so repeated calls are cheap.
+ * Loads (or returns the cached) unfiltered adapter for a language.
  *
- * @param {string} language - One of 'javascript', 'python', or 'go'.
- * @returns {Promise<object>} The language adapter object.
- * @throws {Error} If the language is not supported or the adapter fails to load.
+ * @param {string} language
+ * @returns {Promise<object>}
  */
-export async function getAdapter(language) {
+async function loadAdapter(language) {
   if (!language || typeof language !== 'string') {
     throw new Error(`languages.getAdapter: invalid language argument: ${JSON.stringify(language)}`);
   }
@@ -125,6 +108,65 @@ export async function getAdapter(language) {
   return adapter;
 }
 
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Detects the language for a given file path by examining its extension.
+ * The comparison is case-insensitive to handle platforms that allow
+ * mixed-case file extensions.
+ *
+ * @param {string} filePath - Absolute or relative path to a source file.
+ * @returns {string|null} Language name ('javascript', 'python', 'go'), or null if unsupported.
+ */
+export function detectLanguage(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    return null;
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  return EXTENSION_MAP.get(ext) ?? null;
+}
+
+/**
+ * Returns the adapter for a given language name.
+ * Adapters are cached after the first load so repeated calls are cheap.
+ *
+ * When `filters` narrows the template set, a shallow copy of the cached adapter
+ * is returned with only the matching templates; the cached adapter itself is
+ * never modified.
+ *
+ * @param {string} language - One of 'javascript', 'python', or 'go'.
+ * @param {{
+ *   templates?: string[],
+ *   excludeTemplates?: string[],
+ *   categories?: string[]
+ * }} [filters={}]
+ *   - templates: keep only templates with these names
+ *   - excludeTemplates: drop templates with these names
+ *   - categories: keep only templates in these categories
+ * @returns {Promise<object>} The language adapter object.
+ * @throws {Error} If the language is not supported or the adapter fails to load.
+ */
+export async function getAdapter(language, filters = {}) {
+  const adapter = await loadAdapter(language);
+  const { templates, excludeTemplates, categories } = filters;
+
+  if (!templates?.length && !excludeTemplates?.length && !categories?.length) {
+    return adapter;
+  }
+
+  return {
+    ...adapter,
+    templates: adapter.templates.filter(
+      (tpl) =>
+        (!templates?.length || templates.includes(tpl.name)) &&
+        (!excludeTemplates?.length || !excludeTemplates.includes(tpl.name)) &&
+        (!categories?.length || categories.includes(tpl.category))
+    ),
+  };
+}
+
 /**
  * Returns a Set containing all file extensions supported across all registered languages.
  *
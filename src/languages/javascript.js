@@ -65,9 +65,9 @@ async function loadTemplates() {
     return [];
   }
 
-  const jsFiles = entries.filter(
-    (f) => f.endsWith('.js') && f !== 'index.js'
-  );
+  const jsFiles = entries
+    .filter((f) => f.endsWith('.js') && f !== 'index.js')
+    .sort(); // deterministic ordering (seeded selection depends on it)
 
   if (jsFiles.length === 0) return [];
 
@@ -99,20 +99,333 @@ function parseFile(source, filename) {
 }
 
 /**
- * Generates source code from a Babel AST.
+ * Reports the first syntax error Babel finds in the source.
+ *
+ * @param {string} source
+ * @returns {{ line: number, message: string }|null} The error, or null if the source parses.
+ */
+function checkSyntax(source) {
+  try {
+    parse(source, PARSE_OPTIONS);
+    return null;
+  } catch (err) {
+    return { line: err.loc?.line ?? 0, message: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Formatting-preserving code generation
+//
+// Templates mutate the Babel AST in place. Rather than regenerating the whole
+// file (which rewrites quotes, semicolons, blank lines and comments), the
+// mutated AST is compared against a pristine parse of the original source and
+// only the nodes that actually changed are reprinted and spliced back in using
+// their `start`/`end` offsets. Everything else keeps its original text.
+// ---------------------------------------------------------------------------
+
+/** Node properties that carry position/comment metadata rather than semantics. */
+const NON_SEMANTIC_KEYS = new Set([
+  'type', 'start', 'end', 'loc', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments',
+]);
+
+/**
+ * Returns true if `value` looks like a Babel AST node.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * Returns true if `node` came from the original parse (carries source offsets)
+ * rather than being built by a template via `@babel/types`.
+ *
+ * @param {object} node
+ * @returns {boolean}
+ */
+function hasRange(node) {
+  return typeof node.start === 'number' && typeof node.end === 'number';
+}
+
+/**
+ * Returns the names of a node's semantic, non-child properties (operator,
+ * computed, value, ...), i.e. everything that is neither metadata nor a visitor key.
+ *
+ * @param {object} node
+ * @returns {string[]}
+ */
+function scalarKeys(node) {
+  const childKeys = new Set(t.VISITOR_KEYS[node.type] ?? []);
+  return Object.keys(node).filter((k) => !NON_SEMANTIC_KEYS.has(k) && !childKeys.has(k));
+}
+
+/**
+ * Detects the dominant string quote style of the original source so that
+ * reprinted literals blend in.
  *
- * @param {object} ast            - Babel AST root node.
- * @param {string} originalSource - Original source (passed to generator for
- *                                  source-map fidelity; not mutated).
- * @returns {string} Regenerated source code string.
+ * @param {object} ast - Pristine Babel AST.
+ * @returns {'single'|'double'}
+ */
+function detectQuotes(ast) {
+  let single = 0;
+  let double = 0;
+  traverse(ast, {
+    StringLiteral(nodePath) {
+      const raw = nodePath.node.extra?.raw ?? '';
+      if (raw.startsWith("'")) single++;
+      else if (raw.startsWith('"')) double++;
+    },
+  });
+  return single > double ? 'single' : 'double';
+}
+
+/**
+ * Builds a reprinting context for one original source / pristine AST pair.
+ *
+ * @param {string} source - Original file content.
+ * @param {object} pristine - AST parsed from `source`, never mutated.
+ * @returns {{ printNode: (node: object) => string, collectEdits: (orig: object, mut: object, edits: object[]) => void }}
+ */
+function createReprinter(source, pristine) {
+  const byRange = new Map();
+  traverse(pristine, {
+    enter(nodePath) {
+      const { node } = nodePath;
+      byRange.set(`${node.type}:${node.start}:${node.end}`, node);
+    },
+  });
+  byRange.set(`${pristine.program.type}:${pristine.program.start}:${pristine.program.end}`, pristine.program);
+
+  const generatorOptions = {
+    comments: false,
+    jsescOption: { quotes: detectQuotes(pristine), minimal: true },
+  };
+
+  /**
+   * Applies non-overlapping `{ start, end, text }` edits (absolute offsets) to
+   * the source slice [from, to).
+   */
+  function spliceEdits(from, to, edits) {
+    let text = source.slice(from, to);
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+      text = text.slice(0, edit.start - from) + edit.text + text.slice(edit.end - from);
+    }
+    return text;
+  }
+
+  /**
+   * Prints a node from the mutated AST. Original nodes reuse their source text
+   * (with any nested edits applied); template-built nodes are generated with
+   * every original child substituted back in verbatim.
+   */
+  function printNode(node) {
+    if (hasRange(node)) {
+      const orig = byRange.get(`${node.type}:${node.start}:${node.end}`);
+      if (orig) {
+        const edits = [];
+        collectEdits(orig, node, edits);
+        return spliceEdits(node.start, node.end, edits);
+      }
+    }
+    return reprint(node);
+  }
+
+  /**
+   * Generates code for `node` itself while keeping every child's original
+   * formatting: children are swapped for placeholder identifiers, the shell is
+   * generated, and the placeholders are replaced with the printed children.
+   */
+  function reprint(node) {
+    const substitutions = new Map();
+    const shell = {};
+
+    for (const key of Object.keys(node)) {
+      if (key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+      shell[key] = node[key];
+    }
+
+    const placeholder = (child) => {
+      const name = `__hydra_placeholder_${substitutions.size}__`;
+      substitutions.set(name, printNode(child));
+      return { type: 'Identifier', name };
+    };
+
+    for (const key of t.VISITOR_KEYS[node.type] ?? []) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        shell[key] = value.map((child) => (isNode(child) ? placeholder(child) : child));
+      } else if (isNode(value)) {
+        shell[key] = placeholder(value);
+      }
+    }
+
+    if (shell.extra?.parenthesized) {
+      // Parentheses sit outside the node's range and are kept from the source.
+      shell.extra = { ...shell.extra, parenthesized: false };
+    }
+
+    let code;
+    try {
+      code = generate(shell, generatorOptions).code;
+    } catch {
+      // Some parents only accept specific child types (e.g. TemplateElement
+      // quasis); fall back to generating the subtree directly.
+      return generate(node, generatorOptions).code;
+    }
+    for (const [name, text] of substitutions) {
+      code = code.split(name).join(text);
+    }
+    return code;
+  }
+
+  /**
+   * Returns the range to delete when removing `node` from a list. Statements
+   * take their whole line(s) with them; comma-separated elements take one
+   * adjacent comma.
+   */
+  function removalRange(list, index) {
+    const node = list[index];
+    let { start, end } = node;
+
+    if (t.isStatement(node)) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      if (/^[ \t]*$/.test(source.slice(lineStart, start))) {
+        const rest = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+        if (rest) return { start: lineStart, end: end + rest[0].length };
+      }
+      return { start, end };
+    }
+
+    if (index < list.length - 1) {
+      const next = list[index + 1];
+      return { start, end: next.start };
+    }
+    if (index > 0) {
+      const prev = list[index - 1];
+      return { start: prev.end, end };
+    }
+
+    // Only element — also drop a trailing comma if present.
+    const trailing = source.slice(end).match(/^\s*,/);
+    return { start, end: trailing ? end + trailing[0].length : end };
+  }
+
+  /**
+   * Diffs a child list. Returns false if the change is not expressible as
+   * in-place replacements or pure deletions, in which case the caller
+   * reprints the owning node.
+   */
+  function collectListEdits(origList, mutList, edits) {
+    if (origList.length === mutList.length) {
+      for (let i = 0; i < origList.length; i++) {
+        collectChildEdits(origList[i], mutList[i], edits);
+      }
+      return true;
+    }
+
+    if (mutList.length > origList.length) return false;
+
+    // Pure deletions: every surviving element must be an original element,
+    // in the original order.
+    let j = 0;
+    const removed = [];
+    for (let i = 0; i < origList.length; i++) {
+      const mut = mutList[j];
+      if (mut && isNode(mut) && isNode(origList[i]) && mut.start === origList[i].start) {
+        collectChildEdits(origList[i], mut, edits);
+        j++;
+      } else {
+        removed.push(i);
+      }
+    }
+    if (j !== mutList.length) return false;
+
+    for (const i of removed) {
+      if (!isNode(origList[i])) return false;
+      edits.push({ ...removalRange(origList, i), text: '' });
+    }
+    return true;
+  }
+
+  /** Diffs one child slot (node, null, or scalar element of a list). */
+  function collectChildEdits(orig, mut, edits) {
+    if (orig === mut) return;
+    if (isNode(orig) && isNode(mut)) {
+      if (hasRange(mut) && mut.start === orig.start && mut.end === orig.end && mut.type === orig.type) {
+        collectEdits(orig, mut, edits);
+      } else {
+        edits.push({ start: orig.start, end: orig.end, text: printNode(mut) });
+      }
+      return;
+    }
+    throw new Error('structural change');
+  }
+
+  /**
+   * Appends the minimal set of source edits that turn `orig` into `mut`.
+   * `orig` is a pristine node; `mut` is the node occupying its place in the
+   * mutated AST.
+   */
+  function collectEdits(orig, mut, edits) {
+    const scalarsChanged = scalarKeys(mut).some(
+      (key) => JSON.stringify(mut[key]) !== JSON.stringify(orig[key])
+    );
+
+    if (!scalarsChanged) {
+      const local = [];
+      try {
+        for (const key of t.VISITOR_KEYS[mut.type] ?? []) {
+          const o = orig[key];
+          const m = mut[key];
+          if (Array.isArray(o) && Array.isArray(m)) {
+            if (!collectListEdits(o, m, local)) throw new Error('list change');
+          } else if (o == null && m == null) {
+            continue;
+          } else {
+            collectChildEdits(o, m, local);
+          }
+        }
+        edits.push(...local);
+        return;
+      } catch {
+        // Fall through and reprint this node as a whole.
+      }
+    }
+
+    edits.push({ start: orig.start, end: orig.end, text: reprint(mut) });
+  }
+
+  return { printNode, collectEdits };
+}
+
+/**
+ * Generates source code from a (possibly mutated) Babel AST while preserving
+ * the original formatting of every untouched node.
+ *
+ * The original source is re-parsed to obtain a pristine AST; the two trees are
+ * compared and only changed nodes are reprinted and spliced into the original
+ * text by offset, so an injection shows up as the one-token change the
+ * template intended rather than a whole-file reformat.
+ *
+ * @param {object} ast            - Babel AST root node (File), possibly mutated.
+ * @param {string} originalSource - Source the AST was parsed from.
+ * @returns {string} Source code with only the mutated ranges changed.
  */
 function generateCode(ast, originalSource) {
-  const result = generate(
-    ast,
-    { retainLines: false, concise: false },
-    originalSource
-  );
-  return result.code;
+  const pristine = parse(originalSource, PARSE_OPTIONS);
+  const { collectEdits } = createReprinter(originalSource, pristine);
+
+  const edits = [];
+  collectEdits(pristine.program, ast.program, edits);
+
+  let code = originalSource;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+  }
+  return code;
 }
 
 /**
@@ -146,6 +459,198 @@ function extractImports(ast) {
   return imports;
 }
 
+/**
+ * Returns the first line of a node including its leading comments.
+ *
+ * @param {object} node - Babel AST node.
+ * @returns {number}
+ */
+function startLineWithComments(node) {
+  const comment = node.leadingComments?.[0];
+  return Math.min(node.loc.start.line, comment?.loc.start.line ?? Infinity);
+}
+
+/**
+ * Finds the lines where top-level statements and class members start, so large
+ * files can be scanned in chunks that do not cut through a function or class.
+ * Leading comments stay with the code they document.
+ *
+ * @param {string} source - Full source code of the file.
+ * @returns {number[]} Ascending 1-based line numbers; empty if the file does not parse.
+ */
+function findBlockBoundaries(source) {
+  let ast;
+  try {
+    ast = parse(source, PARSE_OPTIONS);
+  } catch {
+    return [];
+  }
+
+  const starts = new Set();
+  for (const statement of ast.program.body) {
+    starts.add(startLineWithComments(statement));
+
+    const declaration = t.isExportDeclaration(statement) ? statement.declaration : statement;
+    if (t.isClassDeclaration(declaration)) {
+      for (const member of declaration.body.body) {
+        starts.add(startLineWithComments(member));
+      }
+    }
+  }
+
+  return Array.from(starts).sort((a, b) => a - b);
+}
+
+/** Extensions tried, in order, when an import specifier omits one. */
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+/**
+ * Resolves a relative import specifier (`./utils`, `../lib/db.js`) to a file,
+ * trying the usual extensions and `index` files. TypeScript sources imported
+ * with a `.js` extension are found too. Package imports resolve to nothing.
+ *
+ * @param {string} specifier - Specifier from extractImports().
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @returns {string[]} The resolved file, or an empty array.
+ */
+function resolveImport(specifier, fromFile) {
+  if (!specifier.startsWith('.')) return [];
+
+  const target = path.resolve(path.dirname(fromFile), specifier);
+  const stem = target.replace(/\.[cm]?jsx?$/, '');
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map((ext) => target + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => stem + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => path.join(target, `index${ext}`)),
+  ];
+
+  const found = candidates.find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+  return found ? [found] : [];
+}
+
+/**
+ * Returns a one-line (or, for classes and types, short multi-line) summary of
+ * a declaration: the text up to a function body, or the start of an initialiser.
+ *
+ * @param {object} node - Declaration node.
+ * @param {string} source - Source the node was parsed from.
+ * @returns {string|null} Null for declarations not worth summarising.
+ */
+function declarationSignature(node, source) {
+  const text = (start, end) => source.slice(start, end).trim();
+
+  if (t.isFunctionDeclaration(node) || t.isTSDeclareFunction(node)) {
+    return node.body ? text(node.start, node.body.start) : text(node.start, node.end);
+  }
+
+  if (t.isClassDeclaration(node)) {
+    const members = node.body.body
+      .filter((m) => (t.isClassMethod(m) || t.isTSDeclareMethod(m)) && !t.isPrivateName(m.key))
+      .map((m) => `  ${m.body ? text(m.start, m.body.start) : text(m.start, m.end)}`);
+    return [`${text(node.start, node.body.start)} {`, ...members, '}'].join('\n');
+  }
+
+  if (t.isVariableDeclaration(node)) {
+    return node.declarations
+      .map((declarator) => {
+        const { init } = declarator;
+        const head = `${node.kind} ${text(declarator.id.start, declarator.id.end)}`;
+        if (!init) return head;
+        if (t.isArrowFunctionExpression(init) || t.isFunctionExpression(init)) {
+          // Expression-bodied arrows may open a parenthesised body: `(a) => ({`
+          return `${head} = ${text(init.start, init.body.start).replace(/\s*\($/, '')}`;
+        }
+        const value = text(init.start, init.end).split('\n')[0];
+        return `${head} = ${value.length > 60 ? `${value.slice(0, 60)}…` : value}`;
+      })
+      .join('\n');
+  }
+
+  if (t.isTSInterfaceDeclaration(node) || t.isTSTypeAliasDeclaration(node) || t.isTSEnumDeclaration(node)) {
+    const lines = text(node.start, node.end).split('\n');
+    return lines.length > 20 ? [...lines.slice(0, 20), '  …'].join('\n') : lines.join('\n');
+  }
+
+  return null;
+}
+
+/**
+ * Returns signatures of a module's exports: `export` declarations, names
+ * listed in `export { ... }`, and CommonJS `module.exports` / `exports.x`
+ * assignments. Used as context when scanning files that import this module.
+ *
+ * @param {string} source - Full source code of the file.
+ * @returns {string[]} Signatures in source order; empty if the file does not parse.
+ */
+function extractSignatures(source) {
+  let ast;
+  try {
+    ast = parse(source, PARSE_OPTIONS);
+  } catch {
+    return [];
+  }
+
+  const body = ast.program.body;
+  const topLevel = new Map();
+  for (const statement of body) {
+    const declaration = t.isExportDeclaration(statement) ? statement.declaration : statement;
+    if (!declaration) continue;
+    if (t.isVariableDeclaration(declaration)) {
+      for (const d of declaration.declarations) {
+        if (t.isIdentifier(d.id)) topLevel.set(d.id.name, declaration);
+      }
+    } else if (declaration.id?.name) {
+      topLevel.set(declaration.id.name, declaration);
+    }
+  }
+
+  const signatures = [];
+  const seen = new Set();
+  const add = (node, prefix = '') => {
+    if (!node || seen.has(node)) return;
+    seen.add(node);
+    const signature = declarationSignature(node, source);
+    if (signature) signatures.push(prefix + signature);
+  };
+  const addByName = (name) => add(topLevel.get(name));
+
+  for (const statement of body) {
+    if (t.isExportNamedDeclaration(statement) || t.isExportDefaultDeclaration(statement)) {
+      const { declaration } = statement;
+      if (declaration && !t.isExpression(declaration)) {
+        add(declaration, source.slice(statement.start, declaration.start));
+      } else if (t.isIdentifier(declaration)) {
+        addByName(declaration.name);
+      }
+      for (const specifier of statement.specifiers ?? []) {
+        if (!statement.source && t.isIdentifier(specifier.local)) addByName(specifier.local.name);
+      }
+      continue;
+    }
+
+    // module.exports = { a, b } / module.exports = fn / exports.name = ...
+    const expression = t.isExpressionStatement(statement) ? statement.expression : null;
+    if (!t.isAssignmentExpression(expression) || !t.isMemberExpression(expression.left)) continue;
+    const target = source.slice(expression.left.start, expression.left.end);
+    if (!/^(?:module\.)?exports\b/.test(target)) continue;
+
+    const value = expression.right;
+    if (t.isObjectExpression(value)) {
+      for (const property of value.properties) {
+        if (t.isObjectProperty(property) && t.isIdentifier(property.value)) addByName(property.value.name);
+        else if (t.isObjectMethod(property)) signatures.push(source.slice(property.start, property.body.start).trim());
+      }
+    } else if (t.isIdentifier(value)) {
+      addByName(value.name);
+    } else if (t.isFunction(value) || t.isClass(value)) {
+      signatures.push(`${target} = ${source.slice(value.start, value.body.start).trim()}`);
+    }
+  }
+
+  return signatures;
+}
+
 // ---------------------------------------------------------------------------
 // Public factory
 // ---------------------------------------------------------------------------
@@ -163,6 +668,10 @@ function extractImports(ast) {
  *   parseFile: (source: string, filename: string) => object,
  *   generateCode: (ast: object, originalSource: string) => string,
  *   extractImports: (ast: object) => string[],
+ *   findBlockBoundaries: (source: string) => number[],
+ *   resolveImport: (specifier: string, fromFile: string, root: string) => string[],
+ *   extractSignatures: (source: string) => string[],
+ *   checkSyntax: (source: string) => { line: number, message: string }|null,
  *   templates: object[],
  *   categories: string[],
  *   skipDirs: Set<string>
@@ -187,7 +696,8 @@ export async function getJavaScriptAdapter() {
     parseFile,
 
     /**
-     * Generate source from Babel AST.
+     * Generate source from Babel AST, splicing only mutated nodes back into
+     * the original text.
      * @param {object} ast            - Babel AST
      * @param {string} originalSource
      * @returns {string}
@@ -201,6 +711,35 @@ export async function getJavaScriptAdapter() {
      */
     extractImports,
 
+    /**
+     * Find declaration start lines for chunked scanning of large files.
+     * @param {string} source
+     * @returns {number[]}
+     */
+    findBlockBoundaries,
+
+    /**
+     * Resolve a relative import specifier to a project file.
+     * @param {string} specifier
+     * @param {string} fromFile
+     * @returns {string[]}
+     */
+    resolveImport,
+
+    /**
+     * Exported declaration signatures, used as context when scanning importers.
+     * @param {string} source
+     * @returns {string[]}
+     */
+    extractSignatures,
+
+    /**
+     * First syntax error in the source, or null; used to validate injections.
+     * @param {string} source
+     * @returns {{ line: number, message: string }|null}
+     */
+    checkSyntax,
+
     /**
      * Loaded bug templates for JavaScript.
      * @type {object[]}
@@ -13,7 +13,14 @@
 
 import path from 'node:path';
 import fs from 'node:fs';
-import { parseLines, generateFromLines, extractImportsByRegex } from '../utils/regex-parser.js';
+import {
+  parseLines,
+  generateFromLines,
+  extractImportsByRegex,
+  findBlockStarts,
+  collectDeclarations,
+} from '../utils/regex-parser.js';
+import { checkPythonSyntax } from '../utils/syntax-check.js';
 
 /**
  * Loads all Python bug templates from the python/ sub-directory.
@@ -42,6 +49,59 @@ async function loadPythonTemplates() {
   return templates.filter(Boolean);
 }
 
+/**
+ * Returns `dir` and each of its parents up to and including `root`. If `dir`
+ * is not inside `root`, only `dir` itself is returned.
+ *
+ * @param {string} dir
+ * @param {string} root
+ * @returns {string[]}
+ */
+function dirsUpTo(dir, root) {
+  const dirs = [dir];
+  if (path.relative(root, dir).startsWith('..')) return dirs;
+  while (dir !== root && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+    dirs.push(dir);
+  }
+  return dirs;
+}
+
+/**
+ * Resolves a Python module name to a file in the project. Relative imports
+ * (`.utils`, `..pkg.mod`) resolve from the importing file's package; absolute
+ * ones are looked up from the importing file's directory upwards to `root`.
+ * Standard-library and third-party modules resolve to nothing.
+ *
+ * @param {string} specifier - Module name from extractImports().
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @param {string} root - Project root.
+ * @returns {string[]} The module's `.py` or `__init__.py` file, or an empty array.
+ */
+function resolveImport(specifier, fromFile, root) {
+  const [, dots, dotted] = specifier.replace(/,$/, '').match(/^(\.*)(.*)$/);
+  const modulePath = dotted.split('.').filter(Boolean).join(path.sep);
+
+  let bases;
+  if (dots.length > 0) {
+    let base = path.dirname(fromFile);
+    for (let i = 1; i < dots.length; i++) base = path.dirname(base);
+    bases = [base];
+  } else {
+    bases = dirsUpTo(path.dirname(fromFile), root);
+  }
+
+  for (const base of bases) {
+    const target = path.join(base, modulePath);
+    const candidates = modulePath
+      ? [`${target}.py`, path.join(target, '__init__.py')]
+      : [path.join(target, '__init__.py')];
+    const found = candidates.find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+    if (found) return [found];
+  }
+  return [];
+}
+
 /**
  * Returns the Python language adapter object.
  *
@@ -51,6 +111,10 @@ async function loadPythonTemplates() {
  *   - parseFile     {function}    — source → parsed structure
  *   - generateCode  {function}    — parsed structure → source string
  *   - extractImports{function}    — parsed structure → module name array
+ *   - findBlockBoundaries{function} — source → declaration start lines (for chunked scanning)
+ *   - resolveImport {function}    — module name → project files (for scan context)
+ *   - extractSignatures{function} — source → public def/class headers (for scan context)
+ *   - checkSyntax   {function}    — source → first syntax error or null (for injection validation)
  *   - templates     {object[]}    — loaded bug template objects
  *   - categories    {string[]}    — bug categories covered by this adapter
  *   - skipDirs      {Set<string>} — directories to exclude when scanning
@@ -101,6 +165,50 @@ export async function getPythonAdapter() {
       ]);
     },
 
+    /**
+     * Finds the lines where functions, methods and classes start (including
+     * their decorators and comments), so large files can be scanned in chunks
+     * that do not cut through a definition.
+     *
+     * @param {string} source - Raw source code.
+     * @returns {number[]} Ascending 1-based line numbers.
+     */
+    findBlockBoundaries(source) {
+      return findBlockStarts(source, /^\s*(?:async\s+def|def|class)\s/, /^\s*(?:@|#)/);
+    },
+
+    resolveImport,
+
+    /**
+     * Returns the headers of public functions, methods and classes (names not
+     * starting with an underscore, plus `__init__`), so files that import this
+     * module can be scanned with its call signatures in view.
+     *
+     * @param {string} source - Raw source code.
+     * @returns {string[]}
+     */
+    extractSignatures(source) {
+      return collectDeclarations(
+        source,
+        /^\s*(?:async\s+def|def|class)\s+(?:__init__\b|[A-Za-z])/,
+        /:\s*(?:#.*)?$/,
+        8
+      );
+    },
+
+    /**
+     * Returns the first syntax error in the source (unterminated strings,
+     * unbalanced brackets, broken indentation, orphaned else/except clauses),
+     * or null. Used to validate injections, since line edits can easily leave
+     * code that no longer parses.
+     *
+     * @param {string} source - Raw source code.
+     * @returns {{ line: number, message: string }|null}
+     */
+    checkSyntax(source) {
+      return checkPythonSyntax(source);
+    },
+
     templates,
 
     categories: ['async', 'logic', 'null-safety', 'resource', 'indentation', 'correctness', 'error-handling', 'security', 'database'],
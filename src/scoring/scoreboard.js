@@ -168,6 +168,7 @@ export function generateScoreboard(manifest) {
   lines.push(`  Real bugs fixed: ${totalRealFixes}`);
   lines.push(`  Bugs injected:   ${totalInjected}`);
   lines.push(`  Bugs found:      ${discovered}/${totalInjected}`);
+  lines.push(`  False positives: ${stats.falsePositives ?? manifest.falsePositives?.length ?? 0}`);
   lines.push(`  Score:           ${earned}/${total} points (difficulty-weighted)`);
   lines.push('');
 
@@ -0,0 +1,120 @@
+/**
+ * cache.js — Hydra Bugbot local result cache
+ *
+ * Stores JSON results under `.hydra-cache/` in the working directory, one file
+ * per key, grouped by namespace (e.g. `scan`). Keys are content hashes built by
+ * the caller from everything that affects the result, so a stale entry is
+ * simply never looked up again; there is no expiry.
+ *
+ * Exported API:
+ *   CACHE_DIR                        — cache root, relative to the working directory
+ *   hashContent(...parts)            — SHA-256 hex digest of the given parts
+ *   readCache(namespace, key)        — cached value, or null on a miss
+ *   writeCache(namespace, key, value) — store a value
+ *   clearCache()                     — delete every cached entry, returning the count
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Cache root, relative to the working directory.
+ * @type {string}
+ */
+export const CACHE_DIR = '.hydra-cache';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Absolute path of the entry for `key` in `namespace`.
+ *
+ * @param {string} namespace
+ * @param {string} key
+ * @returns {string}
+ */
+function entryPath(namespace, key) {
+  return path.resolve(process.cwd(), CACHE_DIR, namespace, `${key}.json`);
+}
+
+/**
+ * Counts the files under `dir`, recursively.
+ *
+ * @param {string} dir
+ * @returns {number}
+ */
+function countFiles(dir) {
+  let count = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    count += entry.isDirectory() ? countFiles(path.join(dir, entry.name)) : 1;
+  }
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the SHA-256 hex digest of `parts`, joined unambiguously.
+ *
+ * @param {...(string|number)} parts
+ * @returns {string}
+ */
+export function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    const text = String(part);
+    hash.update(`${text.length}:`).update(text, 'utf8');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Reads a cached value. A corrupt entry counts as a miss.
+ *
+ * @param {string} namespace - Cache section, e.g. "scan".
+ * @param {string} key - Key from hashContent().
+ * @returns {any|null} The cached value, or null if there is none.
+ */
+export function readCache(namespace, key) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(namespace, key), 'utf8')).value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores a value. Write failures are ignored — the cache is only an optimisation.
+ *
+ * @param {string} namespace - Cache section, e.g. "scan".
+ * @param {string} key - Key from hashContent().
+ * @param {any} value - JSON-serialisable value.
+ */
+export function writeCache(namespace, key, value) {
+  const file = entryPath(namespace, key);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const entry = { key, createdAt: new Date().toISOString(), value };
+    fs.writeFileSync(file, JSON.stringify(entry) + '\n', 'utf8');
+  } catch {
+    // Non-fatal
+  }
+}
+
+/**
+ * Deletes the whole cache directory.
+ *
+ * @returns {number} Number of cached entries removed.
+ */
+export function clearCache() {
+  const root = path.resolve(process.cwd(), CACHE_DIR);
+  if (!fs.existsSync(root)) return 0;
+
+  const count = countFiles(root);
+  fs.rmSync(root, { recursive: true, force: true });
+  return count;
+}
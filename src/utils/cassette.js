@@ -0,0 +1,101 @@
+/**
+ * cassette.js — Hydra Bugbot recorded LLM responses
+ *
+ * A cassette is a directory of JSON files, one per prompt, named after the
+ * prompt's hash. The `record` provider writes real responses into it; the
+ * `replay` provider serves them back without any network access, so scans and
+ * fixes can run deterministically in air-gapped CI.
+ *
+ * Each file holds:
+ *   { hash, provider, model, prompt, response, recordedAt }
+ * The prompt is stored in full so cassettes can be reviewed and diffed.
+ *
+ * Exported API:
+ *   DEFAULT_CASSETTE_DIR            — cassette directory used when none is configured
+ *   hashPrompt(prompt)              — stable key for a prompt
+ *   readCassette(dir, prompt)       — recorded entry for a prompt, or null
+ *   writeCassette(dir, prompt, entry) — record a response for a prompt
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Cassette directory used when none is configured, relative to the working directory.
+ * @type {string}
+ */
+export const DEFAULT_CASSETTE_DIR = '.hydra-cassettes';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Absolute path of the cassette file for `prompt`.
+ *
+ * @param {string} dir
+ * @param {string} prompt
+ * @returns {string}
+ */
+function cassettePath(dir, prompt) {
+  return path.resolve(process.cwd(), dir, `${hashPrompt(prompt)}.json`);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns a stable key for a prompt: the first 16 hex characters of its SHA-256.
+ *
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt, 'utf8').digest('hex').slice(0, 16);
+}
+
+/**
+ * Looks up the recorded entry for `prompt`.
+ *
+ * @param {string} dir - Cassette directory.
+ * @param {string} prompt - Exact prompt text.
+ * @returns {{ hash: string, provider: string, model: string, prompt: string,
+ *   response: string, recordedAt: string }|null} The entry, or null if none is recorded.
+ * @throws {Error} If the cassette file exists but is not valid JSON.
+ */
+export function readCassette(dir, prompt) {
+  const file = cassettePath(dir, prompt);
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`cassette.readCassette: ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Records a response for `prompt`, replacing any previous recording.
+ *
+ * @param {string} dir - Cassette directory (created if missing).
+ * @param {string} prompt - Exact prompt text.
+ * @param {{ provider: string, model: string, response: string }} entry
+ * @returns {string} Absolute path of the written file.
+ */
+export function writeCassette(dir, prompt, entry) {
+  const file = cassettePath(dir, prompt);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const record = {
+    hash: hashPrompt(prompt),
+    provider: entry.provider,
+    model: entry.model,
+    prompt,
+    response: entry.response,
+    recordedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + '\n', 'utf8');
+  return file;
+}
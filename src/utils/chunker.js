@@ -0,0 +1,122 @@
+/**
+ * chunker.js — Hydra Bugbot syntax-aware source chunking
+ *
+ * Splits files that are too large for a single LLM prompt into overlapping
+ * chunks. Chunks are cut at declaration boundaries supplied by the language
+ * adapter (see `findBlockBoundaries`), so a function or class is only split
+ * when it is larger than a whole chunk on its own. Each chunk records where it
+ * sits in the file so findings can be mapped back to original line numbers.
+ *
+ * Exported API:
+ *   DEFAULT_CHUNK_CHARS                    — chunk size budget, in characters
+ *   DEFAULT_OVERLAP_LINES                  — lines repeated from the previous chunk
+ *   chunkSource(source, boundaries, options) — split source into line-addressed chunks
+ */
+
+/**
+ * Chunk size budget in characters — roughly 6k tokens of code, leaving room
+ * for the prompt and the response within small context windows.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_CHARS = 24000;
+
+/**
+ * Lines each chunk repeats from the end of the previous one, so a bug that
+ * straddles a cut is still seen whole by at least one chunk.
+ * @type {number}
+ */
+export const DEFAULT_OVERLAP_LINES = 10;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Splits the line range [start, end] into consecutive ranges whose text fits
+ * in `maxChars`. A single line longer than the budget gets a range of its own.
+ *
+ * @param {number} start - First line (1-based).
+ * @param {number} end - Last line (inclusive).
+ * @param {(start: number, end: number) => number} sizeOf - Character count of a range.
+ * @param {number} maxChars
+ * @returns {Array<[number, number]>}
+ */
+function splitRange(start, end, sizeOf, maxChars) {
+  const ranges = [];
+  let rangeStart = start;
+
+  for (let line = start; line <= end; line++) {
+    if (line > rangeStart && sizeOf(rangeStart, line) > maxChars) {
+      ranges.push([rangeStart, line - 1]);
+      rangeStart = line;
+    }
+  }
+  ranges.push([rangeStart, end]);
+  return ranges;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Splits `source` into chunks of at most roughly `maxChars` characters.
+ *
+ * The file is first cut into segments at each boundary line; consecutive
+ * segments are then packed into chunks until the next one would overflow the
+ * budget. Segments larger than the budget are split on plain line limits.
+ * Every chunk after the first also starts `overlapLines` lines early.
+ *
+ * A file that fits the budget comes back as a single chunk.
+ *
+ * @param {string} source - Full file content.
+ * @param {number[]} [boundaries=[]] - 1-based lines where declarations start.
+ * @param {{ maxChars?: number, overlapLines?: number }} [options={}]
+ * @returns {Array<{ startLine: number, endLine: number, content: string }>}
+ *   Chunks in file order; `startLine`/`endLine` are 1-based and inclusive.
+ */
+export function chunkSource(source, boundaries = [], options = {}) {
+  const { maxChars = DEFAULT_CHUNK_CHARS, overlapLines = DEFAULT_OVERLAP_LINES } = options;
+  const lines = source.split('\n');
+  const total = lines.length;
+
+  if (source.length <= maxChars) {
+    return [{ startLine: 1, endLine: total, content: source }];
+  }
+
+  // offsets[i] = characters before line i + 1 (each line counts its newline)
+  const offsets = [0];
+  for (const line of lines) offsets.push(offsets[offsets.length - 1] + line.length + 1);
+  const sizeOf = (start, end) => offsets[end] - offsets[start - 1];
+
+  const starts = [1, ...boundaries.filter((line) => line > 1 && line <= total)];
+  const uniqueStarts = Array.from(new Set(starts)).sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < uniqueStarts.length; i++) {
+    const start = uniqueStarts[i];
+    const end = i + 1 < uniqueStarts.length ? uniqueStarts[i + 1] - 1 : total;
+    segments.push(...splitRange(start, end, sizeOf, maxChars));
+  }
+
+  const ranges = [];
+  let current = null;
+  for (const [start, end] of segments) {
+    if (current && sizeOf(current[0], end) <= maxChars) {
+      current[1] = end;
+    } else {
+      if (current) ranges.push(current);
+      current = [start, end];
+    }
+  }
+  ranges.push(current);
+
+  return ranges.map(([start, end], i) => {
+    const startLine = i === 0 ? start : Math.max(1, start - overlapLines);
+    return {
+      startLine,
+      endLine: end,
+      content: lines.slice(startLine - 1, end).join('\n'),
+    };
+  });
+}
@@ -0,0 +1,289 @@
+/**
+ * diff.js — Hydra Bugbot line and word diffs (Myers' O(ND) algorithm)
+ *
+ * One diff engine for everything that compares two versions of a file: the
+ * fix and injection diffs stored in the manifest, the reverse patches used to
+ * revert injections, and terminal previews. Diffs are minimal (a longest
+ * common subsequence), so inserted or removed lines produce the hunks a
+ * reviewer — and `git apply` — expects.
+ *
+ * Lines are compared with their terminators, so a missing newline at the end
+ * of a file shows up as a change and is marked the way git marks it.
+ *
+ * Exported API:
+ *   diffSequences(a, b, equals)               — minimal edit script between two arrays
+ *   diffRegions(a, b)                         — changed regions between two line arrays
+ *   unifiedDiff(original, modified, options)  — unified diff text that `git apply` accepts
+ *   diffWords(oldLine, newLine)               — word-level changes between two lines
+ */
+
+/** Unchanged lines shown on each side of a change in a unified diff. */
+const DEFAULT_CONTEXT_LINES = 3;
+
+/** Splits a line into words, runs of whitespace, and single punctuation characters. */
+const WORD_PATTERN = /\w+|\s+|[^\w\s]/g;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Myers' greedy forward search: finds a shortest edit script between `a` and
+ * `b` and returns it as matched index pairs, in order.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {(x: *, y: *) => boolean} equals
+ * @returns {Array<[number, number]>} Pairs `[i, j]` where `a[i]` matches `b[j]`.
+ */
+function myersMatches(a, b, equals) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Forward pass: v[k] is the furthest x reached on diagonal k = x - y
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack through the saved frontiers, collecting the diagonal (matching) moves
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = trace[d];
+    const at = (k) => frontier[k + d + 1];
+    const k = x - y;
+    let prevX = 0;
+    let prevY = 0;
+    if (d > 0) {
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      prevX = at(prevK);
+      prevY = prevX - prevK;
+    }
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    if (d > 0) {
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * Splits text into lines that keep their `\n` terminator, so the last line
+ * of a file without a trailing newline differs from the same line with one.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/**
+ * Formats a hunk range for a `@@` header. An empty range starts at the line
+ * before it, as in git.
+ *
+ * @param {number} start - 0-based index of the first line in the range.
+ * @param {number} count - Number of lines.
+ * @returns {string}
+ */
+function hunkRange(start, count) {
+  return count === 0 ? `${start},0` : `${start + 1},${count}`;
+}
+
+/**
+ * Renders one diff line, adding git's marker when the line has no terminator.
+ *
+ * @param {string} prefix - ' ', '-' or '+'.
+ * @param {string} line - Line with its terminator, if any.
+ * @returns {string}
+ */
+function diffLine(prefix, line) {
+  return line.endsWith('\n') ? prefix + line.slice(0, -1) : `${prefix}${line}\n\\ No newline at end of file`;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Computes a minimal edit script turning `a` into `b`. Common leading and
+ * trailing elements are matched up front, so the search only covers the part
+ * that actually changed.
+ *
+ * @param {Array} a - Source sequence.
+ * @param {Array} b - Target sequence.
+ * @param {(x: *, y: *) => boolean} [equals] - Element equality (default: ===).
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', aIndex: number, bIndex: number }>}
+ *   Operations in order. `aIndex`/`bIndex` are the positions in `a` and `b`
+ *   the operation sits at (for a deletion, `bIndex` is where the deleted
+ *   element would have been in `b`, and vice versa).
+ */
+export function diffSequences(a, b, equals = (x, y) => x === y) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && equals(a[prefix], b[prefix])) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    equals(a[a.length - 1 - suffix], b[b.length - 1 - suffix])
+  ) {
+    suffix++;
+  }
+
+  const middle = myersMatches(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix), equals);
+  const matches = [];
+  for (let i = 0; i < prefix; i++) matches.push([i, i]);
+  for (const [i, j] of middle) matches.push([i + prefix, j + prefix]);
+  for (let s = suffix; s > 0; s--) matches.push([a.length - s, b.length - s]);
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of [...matches, [a.length, b.length]]) {
+    while (i < mi) ops.push({ type: 'delete', aIndex: i++, bIndex: j });
+    while (j < mj) ops.push({ type: 'insert', aIndex: i, bIndex: j++ });
+    if (mi < a.length) ops.push({ type: 'equal', aIndex: i++, bIndex: j++ });
+  }
+  return ops;
+}
+
+/**
+ * Returns the changed regions between two line arrays as half-open index
+ * ranges, in order. Adjacent deletions and insertions form one region.
+ *
+ * @param {string[]} a - Source lines.
+ * @param {string[]} b - Target lines.
+ * @returns {Array<{ aStart: number, aEnd: number, bStart: number, bEnd: number }>}
+ */
+export function diffRegions(a, b) {
+  const regions = [];
+  let current = null;
+
+  for (const op of diffSequences(a, b)) {
+    if (op.type === 'equal') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { aStart: op.aIndex, aEnd: op.aIndex, bStart: op.bIndex, bEnd: op.bIndex };
+      regions.push(current);
+    }
+    if (op.type === 'delete') current.aEnd = op.aIndex + 1;
+    else current.bEnd = op.bIndex + 1;
+  }
+  return regions;
+}
+
+/**
+ * Builds a unified diff between two versions of a file. Changes closer than
+ * twice the context share a hunk, as in `diff -u`.
+ *
+ * @param {string} original - Content before the change.
+ * @param {string} modified - Content after the change.
+ * @param {{ path?: string, context?: number }} [options={}]
+ *   - path: file path for the `--- a/` and `+++ b/` headers, relative to the
+ *     repository root for `git apply` (default: "file")
+ *   - context: unchanged lines around each change (default: 3)
+ * @returns {string} The diff, or an empty string if the contents are equal.
+ */
+export function unifiedDiff(original, modified, options = {}) {
+  const { path: filePath = 'file', context = DEFAULT_CONTEXT_LINES } = options;
+  const a = splitLines(original);
+  const b = splitLines(modified);
+  const ops = diffSequences(a, b);
+
+  const changed = ops.flatMap((op, index) => (op.type === 'equal' ? [] : [index]));
+  if (changed.length === 0) return '';
+
+  // Group changes into [first, last] op ranges, merging those whose context would touch
+  const groups = [];
+  for (const index of changed) {
+    const last = groups[groups.length - 1];
+    if (last && index - last[1] <= 2 * context + 1) last[1] = index;
+    else groups.push([index, index]);
+  }
+
+  const header = filePath.split('\\').join('/');
+  const out = [`--- a/${header}`, `+++ b/${header}`];
+
+  for (const [first, last] of groups) {
+    const hunk = ops.slice(Math.max(0, first - context), Math.min(ops.length, last + context + 1));
+    const oldCount = hunk.filter((op) => op.type !== 'insert').length;
+    const newCount = hunk.filter((op) => op.type !== 'delete').length;
+    out.push(`@@ -${hunkRange(hunk[0].aIndex, oldCount)} +${hunkRange(hunk[0].bIndex, newCount)} @@`);
+
+    for (const op of hunk) {
+      if (op.type === 'equal') out.push(diffLine(' ', a[op.aIndex]));
+      else if (op.type === 'delete') out.push(diffLine('-', a[op.aIndex]));
+      else out.push(diffLine('+', b[op.bIndex]));
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Compares two versions of a line word by word, for highlighting what
+ * changed inside a modified line.
+ *
+ * @param {string} oldLine - The removed line.
+ * @param {string} newLine - The added line.
+ * @returns {{
+ *   removed: Array<{ text: string, changed: boolean }>,
+ *   added: Array<{ text: string, changed: boolean }>
+ * }} Each line cut into consecutive segments; concatenating a side's `text`
+ *   values gives the line back.
+ */
+export function diffWords(oldLine, newLine) {
+  const a = oldLine.match(WORD_PATTERN) ?? [];
+  const b = newLine.match(WORD_PATTERN) ?? [];
+  const removed = [];
+  const added = [];
+
+  const push = (segments, text, changed) => {
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) last.text += text;
+    else segments.push({ text, changed });
+  };
+
+  for (const op of diffSequences(a, b)) {
+    if (op.type === 'equal') {
+      push(removed, a[op.aIndex], false);
+      push(added, b[op.bIndex], false);
+    } else if (op.type === 'delete') {
+      push(removed, a[op.aIndex], true);
+    } else {
+      push(added, b[op.bIndex], true);
+    }
+  }
+  return { removed, added };
+}
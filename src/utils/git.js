@@ -1,5 +1,6 @@
 import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import os from 'node:os';
 import path from 'node:path';
 
 /**
@@ -12,6 +13,19 @@ function exec(cmd, opts = {}) {
   return execSync(cmd, { encoding: 'utf8', cwd: process.cwd(), ...opts }).trim();
 }
 
+/**
+ * Returns the absolute path of the repository root, or the current working
+ * directory when not inside a git repository.
+ * @returns {string}
+ */
+export function getRepoRoot() {
+  try {
+    return exec('git rev-parse --show-toplevel', { stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch {
+    return process.cwd();
+  }
+}
+
 /**
  * Returns the name of the current git branch.
  * @returns {string} Current branch name.
@@ -41,11 +55,13 @@ export function createHydraBranch(sessionId) {
 
 /**
  * Returns true if there are no uncommitted changes in the working tree.
+ * @param {{ ignoreUntracked?: boolean }} [options={}]
+ *   - ignoreUntracked: only consider changes to tracked files
  * @returns {boolean}
  */
-export function isCleanWorkingTree() {
+export function isCleanWorkingTree(options = {}) {
   try {
-    const output = exec('git status --porcelain');
+    const output = exec(`git status --porcelain${options.ignoreUntracked ? ' --untracked-files=no' : ''}`);
     return output === '';
   } catch (e) {
     throw new Error(`git.isCleanWorkingTree failed: ${e.message}`);
@@ -53,30 +69,59 @@ export function isCleanWorkingTree() {
 }
 
 /**
- * Ensures .hydra-manifest.json is listed in the target repo's .gitignore.
- * Appends it if not already present.
+ * Checks out HEAD into a new detached worktree in a temporary directory, for
+ * work that must not touch the user's checkout.
+ * @returns {string} Absolute path of the worktree.
  */
-function ensureManifestIgnored() {
-  const gitignorePath = path.join(process.cwd(), '.gitignore');
-  const entry = '.hydra-manifest.json';
+export function addScratchWorktree() {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'hydra-worktree-'));
+  try {
+    exec(`git worktree add --detach ${JSON.stringify(dir)} HEAD`, { stdio: ['ignore', 'pipe', 'pipe'] });
+    return dir;
+  } catch (e) {
+    rmSync(dir, { recursive: true, force: true });
+    throw new Error(`git.addScratchWorktree failed: ${e.message}`);
+  }
+}
 
-  if (existsSync(gitignorePath)) {
-    const content = readFileSync(gitignorePath, 'utf8');
-    if (content.split('\n').some((line) => line.trim() === entry)) return;
-    writeFileSync(gitignorePath, content.trimEnd() + '\n' + entry + '\n', 'utf8');
-  } else {
-    writeFileSync(gitignorePath, entry + '\n', 'utf8');
+/**
+ * Removes a worktree created by addScratchWorktree(), discarding any changes in it.
+ * @param {string} dir - Absolute path of the worktree.
+ */
+export function removeScratchWorktree(dir) {
+  try {
+    exec(`git worktree remove --force ${JSON.stringify(dir)}`, { stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (e) {
+    throw new Error(`git.removeScratchWorktree failed: ${e.message}`);
   }
 }
 
+/** Hydra's own working files, which must never land in a session commit. */
+const HYDRA_IGNORED = ['.hydra-manifest.json', '.hydra-cache/'];
+
+/**
+ * Ensures Hydra's working files (manifest, scan cache) are listed in the target
+ * repo's .gitignore. Appends any entries not already present.
+ */
+function ensureHydraFilesIgnored() {
+  const gitignorePath = path.join(process.cwd(), '.gitignore');
+  const content = existsSync(gitignorePath) ? readFileSync(gitignorePath, 'utf8') : '';
+  const present = new Set(content.split('\n').map((line) => line.trim()));
+  const missing = HYDRA_IGNORED.filter((entry) => !present.has(entry));
+  if (missing.length === 0) return;
+
+  const prefix = content.trim() === '' ? '' : content.trimEnd() + '\n';
+  writeFileSync(gitignorePath, prefix + missing.join('\n') + '\n', 'utf8');
+}
+
 /**
  * Stages all changes and commits with the given message.
- * Automatically ensures .hydra-manifest.json is gitignored before staging.
+ * Automatically ensures Hydra's working files are gitignored before staging.
  * @param {string} message - Commit message.
  */
 export function commitChanges(message) {
   try {
-    ensureManifestIgnored();
+    ensureHydraFilesIgnored();
     exec('git add -A');
     exec(`git commit -m ${JSON.stringify(message)}`);
   } catch (e) {
@@ -132,6 +177,99 @@ export function getDiff(file) {
   }
 }
 
+/**
+ * Resolves the commit to diff against for `since`: the merge base of the ref
+ * and HEAD, so changes that landed on the ref after branching are not counted.
+ * Falls back to the ref itself when there is no merge base.
+ * @param {string} since - Any git ref (branch, tag, commit).
+ * @returns {string} A commit-ish to pass to `git diff`.
+ */
+function resolveDiffBase(since) {
+  try {
+    exec(`git rev-parse --verify --quiet ${JSON.stringify(`${since}^{commit}`)}`, {
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch {
+    throw new Error(`unknown git ref "${since}"`);
+  }
+  try {
+    return exec(`git merge-base ${JSON.stringify(since)} HEAD`, { stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch {
+    return since;
+  }
+}
+
+/**
+ * Builds the `git diff` arguments selecting the changes for `options`.
+ * @param {{ since?: string, staged?: boolean }} options
+ * @returns {string}
+ */
+function diffRange(options) {
+  if (options.staged) return '--cached';
+  if (options.since) return JSON.stringify(resolveDiffBase(options.since));
+  throw new Error('either since or staged is required');
+}
+
+/**
+ * Returns the files changed relative to a ref or in the index, as absolute paths.
+ * Deleted files are left out.
+ *
+ * - `since`: files changed between the ref (its merge base with HEAD) and the
+ *   working tree, plus untracked files that are not ignored.
+ * - `staged`: files with staged changes only.
+ *
+ * @param {{ since?: string, staged?: boolean }} options
+ * @returns {string[]} Sorted absolute file paths.
+ */
+export function getChangedFiles(options) {
+  try {
+    const root = getRepoRoot();
+    const names = exec(`git diff --name-only -z --diff-filter=d ${diffRange(options)}`, { cwd: root })
+      .split('\0');
+    if (!options.staged) {
+      names.push(...exec('git ls-files --others --exclude-standard -z', { cwd: root }).split('\0'));
+    }
+    const files = new Set(names.filter(Boolean).map((name) => path.join(root, name)));
+    return Array.from(files).sort();
+  } catch (e) {
+    throw new Error(`git.getChangedFiles failed: ${e.message}`);
+  }
+}
+
+/**
+ * Returns the line ranges of `file` that were added or modified, from a
+ * zero-context diff. A pure deletion is reported as the line after the gap.
+ *
+ * @param {string} file - Absolute path to the file.
+ * @param {{ since?: string, staged?: boolean }} options - Same as getChangedFiles().
+ * @returns {Array<{ start: number, end: number }>|null} 1-based inclusive ranges,
+ *   or null if the whole file is new (untracked or added).
+ */
+export function getChangedLineRanges(file, options) {
+  let output;
+  try {
+    const tracked = exec(`git ls-files -- ${JSON.stringify(file)}`);
+    if (!tracked) return null;
+    output = exec(`git diff -U0 --no-color ${diffRange(options)} -- ${JSON.stringify(file)}`);
+  } catch (e) {
+    throw new Error(`git.getChangedLineRanges failed: ${e.message}`);
+  }
+
+  if (/^new file mode/m.test(output)) return null;
+
+  const ranges = [];
+  for (const match of output.matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+    const start = Number(match[1]);
+    const count = match[2] === undefined ? 1 : Number(match[2]);
+    if (count === 0) {
+      ranges.push({ start: start + 1, end: start + 1 });
+    } else {
+      ranges.push({ start, end: start + count - 1 });
+    }
+  }
+  return ranges;
+}
+
 /**
  * Returns an array of tracked JS/TS files within the given directory scope.
  * @param {string} [scope='src/'] - Directory to limit the search to.
@@ -0,0 +1,124 @@
+/**
+ * glob.js — Hydra Bugbot minimal glob matching for include/exclude filters
+ *
+ * Supports the subset of gitignore-style globs that file filters need:
+ *   *       — any run of characters except `/`
+ *   **      — any number of path segments (including none)
+ *   ?       — a single character except `/`
+ *   [abc]   — character classes (`[!abc]` negates)
+ *   {a,b}   — alternatives
+ *
+ * Patterns without a `/` match against the file's basename at any depth, so
+ * `*.test.js` excludes test files everywhere. Patterns with a `/` are anchored
+ * to the project root. Paths are always compared with forward slashes.
+ *
+ * Exported API:
+ *   globToRegExp(pattern)          — compile a glob into an anchored RegExp
+ *   matchesAnyGlob(file, patterns) — true if a cwd-relative path matches any pattern
+ */
+
+import path from 'node:path';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/** Compiled pattern cache — filters are matched against every walked file. */
+const _cache = new Map();
+
+/**
+ * Escapes a literal character for use inside a RegExp.
+ *
+ * @param {string} ch
+ * @returns {string}
+ */
+function escapeRegExp(ch) {
+  return ch.replace(/[.+^$()|\\/\]}]/g, '\\$&');
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Compiles a glob pattern into an anchored regular expression.
+ *
+ * @param {string} pattern - Glob pattern (see module docs for the syntax).
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  if (_cache.has(pattern)) return _cache.get(pattern);
+
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  // A trailing slash means "everything under this directory".
+  if (glob.endsWith('/')) glob += '**';
+  const basenameOnly = !glob.includes('/');
+
+  let re = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atSegmentStart && atSegmentEnd) {
+          // `**/` matches zero or more whole directories; trailing `**` matches the rest.
+          if (glob[i + 2] === '/') {
+            re += '(?:.*/)?';
+            i += 2;
+          } else {
+            re += '.*';
+            i += 1;
+          }
+          continue;
+        }
+      }
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 1);
+      if (close === -1) {
+        re += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, close);
+        if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+        re += `[${cls.replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (ch === '{') {
+      braceDepth++;
+      re += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      re += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      re += '|';
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+
+  const compiled = new RegExp(basenameOnly ? `(?:^|/)${re}$` : `^${re}$`);
+  _cache.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Returns true if `file` matches at least one of `patterns`.
+ *
+ * @param {string} file - Absolute or cwd-relative file path.
+ * @param {string[]} patterns - Glob patterns.
+ * @returns {boolean}
+ */
+export function matchesAnyGlob(file, patterns) {
+  if (!patterns || patterns.length === 0) return false;
+  const relative = path
+    .relative(process.cwd(), path.resolve(process.cwd(), file))
+    .split(path.sep)
+    .join('/');
+  return patterns.some((pattern) => globToRegExp(pattern).test(relative));
+}
@@ -1,56 +1,174 @@
 import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
+import { DEFAULT_CASSETTE_DIR, hashPrompt, readCassette, writeCassette } from './cassette.js';
 
 const ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
 const OPENAI_MODEL = 'gpt-4o-mini';
 const XAI_MODEL = 'grok-3-mini';
+const XAI_BASE_URL = 'https://api.x.ai/v1';
 
 /**
- * Detects which LLM provider to use based on environment variables.
- * Checks OPENAI_API_KEY first, then XAI_API_KEY, then ANTHROPIC_API_KEY.
- * @returns {{ provider: 'openai'|'anthropic'|'xai', client: object, model: string }}
+ * Every provider name getLLMClient() accepts.
+ * @type {string[]}
  */
-export function getLLMClient() {
-  if (process.env.OPENAI_API_KEY) {
+export const LLM_PROVIDERS = ['openai', 'xai', 'anthropic', 'record', 'replay'];
+
+/** API key environment variable for each network provider. */
+const API_KEY_VARS = { openai: 'OPENAI_API_KEY', xai: 'XAI_API_KEY', anthropic: 'ANTHROPIC_API_KEY' };
+
+/**
+ * Builds the client for a single provider, or returns null if its API key is not set.
+ * SDK-level retries are off: callers retry through utils/retry.js so every
+ * attempt is counted and backs off on the provider's `retry-after`.
+ *
+ * An OpenAI provider with a `baseUrl` targets an OpenAI-compatible server (llama.cpp,
+ * Ollama, vLLM, ...). Such servers usually ignore the API key, so one is not required.
+ *
+ * @param {'openai'|'anthropic'|'xai'} provider
+ * @param {{ model?: string, baseUrl?: string }} [settings={}] - Overrides for the
+ *   provider's default model and API endpoint.
+ * @returns {{ provider: string, client: object, model: string }|null}
+ */
+function createProviderClient(provider, settings = {}) {
+  const { model, baseUrl } = settings;
+
+  if (provider === 'openai' && (process.env.OPENAI_API_KEY || baseUrl)) {
     return {
       provider: 'openai',
-      client: new OpenAI(),
-      model: OPENAI_MODEL,
+      client: new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        maxRetries: 0,
+        ...(baseUrl && { baseURL: baseUrl }),
+      }),
+      model: model ?? OPENAI_MODEL,
     };
   }
 
-  if (process.env.XAI_API_KEY) {
+  if (provider === 'xai' && process.env.XAI_API_KEY) {
     return {
       provider: 'xai',
-      client: new OpenAI({ apiKey: process.env.XAI_API_KEY, baseURL: 'https://api.x.ai/v1' }),
-      model: XAI_MODEL,
+      client: new OpenAI({
+        apiKey: process.env.XAI_API_KEY,
+        baseURL: baseUrl ?? XAI_BASE_URL,
+        maxRetries: 0,
+      }),
+      model: model ?? XAI_MODEL,
     };
   }
 
-  if (process.env.ANTHROPIC_API_KEY) {
+  if (provider === 'anthropic' && process.env.ANTHROPIC_API_KEY) {
     return {
       provider: 'anthropic',
-      client: new Anthropic(),
-      model: ANTHROPIC_MODEL,
+      client: new Anthropic({ maxRetries: 0, ...(baseUrl && { baseURL: baseUrl }) }),
+      model: model ?? ANTHROPIC_MODEL,
     };
   }
 
+  return null;
+}
+
+/**
+ * Returns the first provider whose API key is set: OpenAI, then xAI, then Anthropic.
+ * @param {{ model?: string, baseUrl?: string }} [settings={}] - See createProviderClient().
+ * @returns {{ provider: string, client: object, model: string }}
+ * @throws {Error} If no API key is set.
+ */
+function detectProviderClient(settings = {}) {
+  for (const provider of ['openai', 'xai', 'anthropic']) {
+    const llm = createProviderClient(provider, settings);
+    if (llm) return llm;
+  }
+
   throw new Error(
     'No LLM API key found. Set one of:\n' +
     '  export OPENAI_API_KEY=sk-...\n' +
     '  export XAI_API_KEY=xai-...\n' +
-    '  export ANTHROPIC_API_KEY=sk-ant-...'
+    '  export ANTHROPIC_API_KEY=sk-ant-...\n' +
+    'or pass --base-url to use an OpenAI-compatible local server.'
   );
 }
 
+/**
+ * Returns the LLM client to use.
+ *
+ * When `options.provider` is set (from --provider or the project config), that
+ * provider is used and its API key is required. Otherwise the provider is detected
+ * from environment variables: OPENAI_API_KEY first, then XAI_API_KEY, then
+ * ANTHROPIC_API_KEY. A `baseUrl` with no provider selects an OpenAI-compatible server.
+ *
+ * Two offline-friendly providers wrap the real ones (see utils/cassette.js):
+ *   - `record` — calls the detected provider and saves every response to the cassette
+ *   - `replay` — serves saved responses only; needs no API key or network
+ *
+ * @param {{
+ *   provider?: 'openai'|'anthropic'|'xai'|'record'|'replay',
+ *   model?: string,
+ *   baseUrl?: string,
+ *   cassetteDir?: string
+ * }} [options={}]
+ *   `model` and `baseUrl` override the provider defaults. `cassetteDir` defaults to
+ *   `.hydra-cassettes` in the working directory.
+ * @returns {{ provider: string, client: object|null, model: string, cassetteDir?: string }}
+ *   For `record`, `client` is the wrapped real provider client (same shape as this return value).
+ */
+export function getLLMClient(options = {}) {
+  const { provider, model, baseUrl, cassetteDir = DEFAULT_CASSETTE_DIR } = options;
+  const settings = { model, baseUrl };
+
+  if (provider === 'replay') {
+    return { provider: 'replay', client: null, model: 'replay', cassetteDir };
+  }
+
+  if (provider === 'record') {
+    const inner = detectProviderClient(settings);
+    return { provider: 'record', client: inner, model: inner.model, cassetteDir };
+  }
+
+  if (provider) {
+    if (!API_KEY_VARS[provider]) {
+      throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+    const llm = createProviderClient(provider, settings);
+    if (llm) return llm;
+    throw new Error(`LLM provider "${provider}" is configured but ${API_KEY_VARS[provider]} is not set.`);
+  }
+
+  return detectProviderClient(settings);
+}
+
 /**
  * Sends a prompt to the configured LLM provider and returns the text response.
  * @param {{ provider: string, client: object, model: string }} llm - From getLLMClient()
  * @param {string} prompt - The user prompt to send
  * @param {number} [maxTokens=4096] - Max tokens in response
  * @returns {Promise<string>} The text response from the model
+ * @throws {Error} With `code: 'CASSETTE_MISS'` if the replay provider has no recording
+ *   for the prompt.
  */
 export async function chatCompletion(llm, prompt, maxTokens = 4096) {
+  if (llm.provider === 'replay') {
+    const entry = readCassette(llm.cassetteDir, prompt);
+    if (!entry) {
+      const err = new Error(
+        `No recorded response for prompt ${hashPrompt(prompt)} in ${llm.cassetteDir} ` +
+        '(run once with the "record" provider to capture it)'
+      );
+      err.code = 'CASSETTE_MISS';
+      throw err;
+    }
+    return entry.response;
+  }
+
+  if (llm.provider === 'record') {
+    const response = await chatCompletion(llm.client, prompt, maxTokens);
+    writeCassette(llm.cassetteDir, prompt, {
+      provider: llm.client.provider,
+      model: llm.client.model,
+      response,
+    });
+    return response;
+  }
+
   if (llm.provider === 'openai' || llm.provider === 'xai') {
     const response = await llm.client.chat.completions.create({
       model: llm.model,
@@ -73,9 +191,16 @@ export async function chatCompletion(llm, prompt, maxTokens = 4096) {
 }
 
 /**
- * Returns true if any supported LLM API key is set.
+ * Returns true if an LLM can be used with these options: the selected provider's
+ * API key is set (any key when none is selected), an OpenAI-compatible `baseUrl`
+ * is given, or the `replay` provider is selected (it needs none).
+ * @param {{ provider?: string, baseUrl?: string }} [options={}] - Same options as getLLMClient().
  * @returns {boolean}
  */
-export function hasApiKey() {
+export function hasApiKey(options = {}) {
+  const { provider, baseUrl } = options;
+  if (provider === 'replay') return true;
+  if (baseUrl && (!provider || provider === 'openai' || provider === 'record')) return true;
+  if (API_KEY_VARS[provider]) return !!process.env[API_KEY_VARS[provider]];
   return !!(process.env.OPENAI_API_KEY || process.env.XAI_API_KEY || process.env.ANTHROPIC_API_KEY);
 }
@@ -0,0 +1,221 @@
+/**
+ * patch.js — Hydra Bugbot line-based patch creation and drift-tolerant application
+ *
+ * Injections record a minimal reverse patch (injected → original) instead of a
+ * full-file snapshot, so that reverting one bug does not clobber commits made to
+ * the same file after the injection (real fixes, reviewer edits, later injections).
+ *
+ * A patch is a plain JSON-serialisable object so it can live in the manifest:
+ *
+ *   {
+ *     hunks: [{
+ *       oldStart: number,   // 1-based line of the first `remove` line in the source text
+ *       before:   string[], // leading context lines
+ *       remove:   string[], // lines expected in the file (replaced on apply)
+ *       add:      string[], // replacement lines
+ *       after:    string[], // trailing context lines
+ *     }]
+ *   }
+ *
+ * Application mirrors `patch(1)`: each hunk is looked up at its recorded position
+ * (adjusted by the drift of earlier hunks), then searched for outwards through the
+ * whole file. If the full context no longer matches, outer context lines are
+ * dropped one at a time up to `fuzz` lines per side. The `remove` lines themselves
+ * must always match exactly — a hunk that cannot be located is reported as a
+ * conflict rather than guessed at.
+ *
+ * Exported API:
+ *   createPatch(source, target, contextLines)  — build a patch turning source into target
+ *   applyPatch(content, patch, options)         — apply a patch with relocation and fuzz
+ */
+
+import { diffRegions } from './diff.js';
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns true if `needle` occurs in `lines` starting exactly at `index`.
+ *
+ * @param {string[]} lines
+ * @param {string[]} needle
+ * @param {number} index
+ * @returns {boolean}
+ */
+function matchesAt(lines, needle, index) {
+  if (index < 0 || index + needle.length > lines.length) return false;
+  for (let i = 0; i < needle.length; i++) {
+    if (lines[index + i] !== needle[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds the occurrence of `needle` in `lines` closest to `expected`, searching
+ * outwards in both directions. Ties prefer the later position, which is where
+ * content drifts when lines are inserted above a hunk.
+ *
+ * @param {string[]} lines
+ * @param {string[]} needle
+ * @param {number} expected - 0-based index where the needle is expected to start.
+ * @returns {number} 0-based start index, or -1 if not found.
+ */
+function findNearest(lines, needle, expected) {
+  const maxStart = lines.length - needle.length;
+  if (maxStart < 0) return -1;
+
+  const origin = Math.min(Math.max(expected, 0), maxStart);
+  for (let distance = 0; distance <= lines.length; distance++) {
+    if (matchesAt(lines, needle, origin + distance)) return origin + distance;
+    if (distance > 0 && matchesAt(lines, needle, origin - distance)) return origin - distance;
+    if (origin + distance > maxStart && origin - distance < 0) break;
+  }
+  return -1;
+}
+
+/**
+ * Locates a single hunk in `lines`, reducing context up to `fuzz` lines per side.
+ *
+ * Pure insertions (empty `remove`) always keep at least one context line so the
+ * insertion point is anchored to something.
+ *
+ * @param {string[]} lines
+ * @param {object} hunk
+ * @param {number} expected - 0-based index where the hunk's `remove` lines should start.
+ * @param {number} fuzz
+ * @returns {{ index: number, fuzz: number }|null} 0-based index of the first `remove` line.
+ */
+function locateHunk(lines, hunk, expected, fuzz) {
+  const maxFuzz = Math.min(fuzz, Math.max(hunk.before.length, hunk.after.length));
+
+  for (let level = 0; level <= maxFuzz; level++) {
+    const before = hunk.before.slice(Math.min(level, hunk.before.length));
+    const after = hunk.after.slice(0, Math.max(hunk.after.length - level, 0));
+
+    if (hunk.remove.length === 0 && before.length === 0 && after.length === 0) break;
+
+    const needle = [...before, ...hunk.remove, ...after];
+    const found = findNearest(lines, needle, expected - before.length);
+    if (found !== -1) {
+      return { index: found + before.length, fuzz: level };
+    }
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a patch that transforms `source` into `target`.
+ *
+ * @param {string} source - Text the patch applies to.
+ * @param {string} target - Text the patch produces.
+ * @param {number} [contextLines=3] - Unchanged lines recorded on each side of a change.
+ * @returns {{ hunks: Array<{
+ *   oldStart: number,
+ *   before: string[],
+ *   remove: string[],
+ *   add: string[],
+ *   after: string[]
+ * }> }}
+ */
+export function createPatch(source, target, contextLines = 3) {
+  const a = source.split('\n');
+  const b = target.split('\n');
+
+  const hunks = diffRegions(a, b).map((region) => ({
+    oldStart: region.aStart + 1,
+    before: a.slice(Math.max(0, region.aStart - contextLines), region.aStart),
+    remove: a.slice(region.aStart, region.aEnd),
+    add: b.slice(region.bStart, region.bEnd),
+    after: a.slice(region.aEnd, region.aEnd + contextLines),
+  }));
+
+  return { hunks };
+}
+
+/**
+ * Applies a patch to `content`, relocating hunks whose surrounding code has moved
+ * and tolerating limited context drift.
+ *
+ * The patch is applied atomically: if any hunk conflicts, `content` is returned
+ * unchanged in the result and `conflicts` lists the failing hunks.
+ *
+ * @param {string} content - Current text to patch.
+ * @param {{ hunks: object[] }} patch - Patch from createPatch().
+ * @param {{ fuzz?: number }} [options={}]
+ *   - fuzz: maximum context lines that may be ignored per side of a hunk (default 2)
+ * @returns {{
+ *   content: string,
+ *   applied: boolean,
+ *   alreadyApplied: boolean,
+ *   conflicts: Array<{ hunk: number, oldStart: number }>,
+ *   offsets: number[],
+ *   fuzz: number
+ * }} `offsets[i]` is the line drift at which hunk i was applied; `fuzz` is the
+ *    largest fuzz level any hunk needed.
+ */
+export function applyPatch(content, patch, options = {}) {
+  const { fuzz = 2 } = options;
+  const lines = content.split('\n');
+  const hunks = patch?.hunks ?? [];
+
+  const placements = [];
+  const conflicts = [];
+  let drift = 0;
+  let maxFuzz = 0;
+
+  for (let i = 0; i < hunks.length; i++) {
+    const hunk = hunks[i];
+    const expected = hunk.oldStart - 1 + drift;
+    const located = locateHunk(lines, hunk, expected, fuzz);
+
+    if (!located) {
+      conflicts.push({ hunk: i, oldStart: hunk.oldStart });
+      continue;
+    }
+
+    drift = located.index - (hunk.oldStart - 1);
+    maxFuzz = Math.max(maxFuzz, located.fuzz);
+    placements.push({ hunk, index: located.index, offset: drift });
+  }
+
+  if (conflicts.length > 0) {
+    // Distinguish "nothing to do" from a genuine conflict: if every hunk's
+    // replacement is already in place, the patch was applied previously.
+    const reversed = {
+      hunks: hunks.map((h) => ({ ...h, remove: h.add, add: h.remove })),
+    };
+    const alreadyApplied =
+      hunks.length > 0 &&
+      reversed.hunks.every((h) => locateHunk(lines, h, h.oldStart - 1, fuzz) !== null);
+
+    return {
+      content,
+      applied: false,
+      alreadyApplied,
+      conflicts: alreadyApplied ? [] : conflicts,
+      offsets: [],
+      fuzz: maxFuzz,
+    };
+  }
+
+  // Splice from the bottom up so earlier indices stay valid.
+  const result = [...lines];
+  for (const { hunk, index } of [...placements].sort((x, y) => y.index - x.index)) {
+    result.splice(index, hunk.remove.length, ...hunk.add);
+  }
+
+  return {
+    content: result.join('\n'),
+    applied: true,
+    alreadyApplied: false,
+    conflicts: [],
+    offsets: placements.map((p) => p.offset),
+    fuzz: maxFuzz,
+  };
+}
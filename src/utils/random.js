@@ -0,0 +1,79 @@
+/**
+ * random.js — Hydra Bugbot seedable randomness
+ *
+ * Injection selection must be reproducible: a session recorded with a seed can
+ * be replayed exactly, and two sessions with different seeds get different bug
+ * sets from the same codebase. `Math.random()` offers neither, so selection
+ * draws from a small seeded PRNG instead.
+ *
+ * Exported API:
+ *   createRng(seed)                         — seeded PRNG returning floats in [0, 1)
+ *   weightedShuffle(items, weightOf, rng)   — random order biased towards heavier items
+ */
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Hashes an arbitrary seed string to a 32-bit unsigned integer (FNV-1a).
+ *
+ * @param {string} str
+ * @returns {number}
+ */
+function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence.
+ *
+ * @param {string|number} seed - Any string or number; numbers are stringified.
+ * @returns {() => number} Function returning the next float in [0, 1).
+ */
+export function createRng(seed) {
+  let state = hashSeed(String(seed));
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a new array with `items` in a weighted random order: each position is
+ * filled by sampling the remaining items with probability proportional to their
+ * weight (Efraimidis–Spirakis keys). Taking the first k elements is therefore a
+ * weighted sample of size k without replacement.
+ *
+ * Items with a non-positive weight are ordered after all positive-weight items.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => number} weightOf - Weight for each item.
+ * @param {() => number} rng - Generator from createRng().
+ * @returns {T[]}
+ */
+export function weightedShuffle(items, weightOf, rng) {
+  return items
+    .map((item) => {
+      const weight = weightOf(item);
+      const u = rng() || Number.MIN_VALUE;
+      const key = weight > 0 ? Math.log(u) / weight : -Infinity;
+      return { item, key };
+    })
+    .sort((a, b) => b.key - a.key)
+    .map((entry) => entry.item);
+}
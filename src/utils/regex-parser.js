@@ -13,6 +13,8 @@
  *   removeLine(parsed, lineIndex)                   — immutable line removal
  *   getIndent(line)                                 — extract leading whitespace from a line
  *   extractImportsByRegex(source, importPatterns)   — collect module/package names from imports
+ *   findBlockStarts(source, startPattern, attachPattern) — first lines of declarations, for chunking
+ *   collectDeclarations(source, startPattern, endPattern, maxLines) — declaration headers, for scan context
  */
 
 // ---------------------------------------------------------------------------
@@ -209,6 +211,70 @@ export function extractImportsByRegex(source, importPatterns) {
   return Array.from(found);
 }
 
+/**
+ * Returns the 1-based line numbers where declarations start, for splitting a
+ * file into syntax-aware chunks. A declaration starts at a line matching
+ * `startPattern`, extended upwards over directly preceding lines matching
+ * `attachPattern` (doc comments, decorators) so they stay with the code.
+ *
+ * Intended for use with patterns like:
+ *   Python: /^\s*(?:async\s+def|def|class)\s/, attached /^\s*(?:@|#)/
+ *   Go:     /^(?:func|type)\s/, attached /^\/\//
+ *
+ * @param {string} source - Raw source code string.
+ * @param {RegExp} startPattern - Matches the first line of a declaration.
+ * @param {RegExp} [attachPattern] - Matches lines that belong to the declaration below them.
+ * @returns {number[]} Ascending, deduplicated line numbers.
+ */
+export function findBlockStarts(source, startPattern, attachPattern) {
+  if (typeof source !== 'string') {
+    throw new Error('regex-parser.findBlockStarts: source must be a string');
+  }
+
+  const lines = source.split('\n');
+  const starts = new Set();
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!startPattern.test(lines[i])) continue;
+    let first = i;
+    while (attachPattern && first > 0 && attachPattern.test(lines[first - 1])) first--;
+    starts.add(first + 1);
+  }
+
+  return Array.from(starts).sort((a, b) => a - b);
+}
+
+/**
+ * Collects declaration headers: each line matching `startPattern` together with
+ * the lines that follow it, up to and including the first one matching
+ * `endPattern` (so multi-line signatures stay whole). A header with no end line
+ * within `maxLines` is cut off there.
+ *
+ * @param {string} source - Raw source code.
+ * @param {RegExp} startPattern - Matches the first line of a declaration.
+ * @param {RegExp} endPattern - Matches the last line of a declaration header;
+ *   tested against the first line too.
+ * @param {number} [maxLines=10] - Longest header to collect.
+ * @returns {string[]} Headers in source order, each joined with newlines.
+ */
+export function collectDeclarations(source, startPattern, endPattern, maxLines = 10) {
+  if (typeof source !== 'string') {
+    throw new Error('regex-parser.collectDeclarations: source must be a string');
+  }
+
+  const lines = source.split('\n');
+  const declarations = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!startPattern.test(lines[i])) continue;
+    let end = i;
+    while (end < lines.length - 1 && end - i < maxLines - 1 && !endPattern.test(lines[end])) end++;
+    declarations.push(lines.slice(i, end + 1).join('\n'));
+  }
+
+  return declarations;
+}
+
 /**
  * Returns the leading whitespace (indentation) of a line.
  *
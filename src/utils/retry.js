@@ -0,0 +1,170 @@
+/**
+ * retry.js — Hydra Bugbot retries, backoff and bounded concurrency for LLM calls
+ *
+ * Provider SDK retries are disabled (see utils/llm.js) so that every attempt is
+ * visible here: it can be counted against a request budget, and rate-limit
+ * responses are retried on the server's own `retry-after` schedule.
+ *
+ * Exported API:
+ *   createRequestBudget(limit)          — shared counter of LLM requests left in a run
+ *   isRetryable(err)                    — true for rate limits, server errors and dropped connections
+ *   retryDelay(err, attempt, options)   — milliseconds to wait before the next attempt
+ *   withRetry(fn, options)              — call `fn` with exponential backoff
+ *   mapConcurrent(items, limit, fn)     — map with at most `limit` calls in flight
+ */
+
+/** HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors. */
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+/** Node socket errors that indicate a dropped or refused connection. */
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a header from an SDK error, whose headers may be a `Headers` instance
+ * or a plain object depending on the SDK version.
+ *
+ * @param {Error & { headers?: object }} err
+ * @param {string} name - Lower-case header name.
+ * @returns {string|undefined}
+ */
+function errorHeader(err, name) {
+  const headers = err?.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name];
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a request budget shared by every LLM call in a run.
+ *
+ * @param {number} [limit=Infinity] - Maximum number of requests, retries included.
+ * @returns {{ limit: number, used: number, take: () => void }} `take()` records one
+ *   request and throws an error with `code: 'BUDGET_EXHAUSTED'` once the limit is reached.
+ */
+export function createRequestBudget(limit = Infinity) {
+  return {
+    limit,
+    used: 0,
+    take() {
+      if (this.used >= this.limit) {
+        const err = new Error(`LLM request budget of ${this.limit} exhausted`);
+        err.code = 'BUDGET_EXHAUSTED';
+        throw err;
+      }
+      this.used++;
+    },
+  };
+}
+
+/**
+ * Returns true if a failed LLM call is worth retrying.
+ *
+ * @param {Error & { status?: number, code?: string }} err
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  if (err?.status != null) return RETRYABLE_STATUSES.has(err.status);
+  if (RETRYABLE_CODES.has(err?.code) || RETRYABLE_CODES.has(err?.cause?.code)) return true;
+  // SDK connection failures carry no status; their class names say what happened
+  return /Connection|Timeout/.test(err?.constructor?.name ?? '');
+}
+
+/**
+ * Returns how long to wait before retry number `attempt` (0-based). A server
+ * `retry-after-ms` or `retry-after` header (seconds or HTTP date) wins;
+ * otherwise the delay doubles each attempt, with jitter, up to `maxDelayMs`.
+ *
+ * @param {Error} err - The error that failed the attempt.
+ * @param {number} attempt - 0 for the first retry.
+ * @param {{ baseDelayMs?: number, maxDelayMs?: number }} [options={}]
+ * @returns {number} Milliseconds.
+ */
+export function retryDelay(err, attempt, options = {}) {
+  const { baseDelayMs = 1000, maxDelayMs = 30000 } = options;
+
+  const retryAfterMs = Number(errorHeader(err, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = errorHeader(err, 'retry-after');
+  if (retryAfter != null) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Calls `fn`, retrying retryable failures with backoff (see retryDelay()).
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn - The call to make; receives the attempt number.
+ * @param {{
+ *   retries?: number,
+ *   baseDelayMs?: number,
+ *   maxDelayMs?: number,
+ *   onRetry?: (err: Error, attempt: number, delayMs: number) => void
+ * }} [options={}] - `retries` defaults to 4 (five attempts in total).
+ * @returns {Promise<T>}
+ * @throws The last error once retries run out, or any non-retryable error at once.
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries = 4, onRetry } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = retryDelay(err, attempt, options);
+      onRetry?.(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Maps `items` through `fn` with at most `limit` calls in flight. Results keep
+ * the input order. `fn` should handle its own errors: the first rejection
+ * rejects the whole map.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Maximum concurrent calls (at least 1).
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,381 @@
+/**
+ * syntax-check.js — Hydra Bugbot syntax validation for regex-based languages
+ *
+ * Python and Go files are manipulated as lines (see regex-parser.js), so
+ * nothing stops a template from producing code that no longer parses:
+ * a dedented line that orphans an `else:`, a commented-out `case` that leaves
+ * statements outside any case, half a statement behind a `//`. These checkers
+ * tokenize the source — strings, comments and brackets properly — and apply
+ * the structural rules such edits break. They are not full parsers: they
+ * catch the errors line edits cause, and accept everything else.
+ *
+ * Exported API:
+ *   checkPythonSyntax(source)   — first syntax error in Python source, or null
+ *   checkGoSyntax(source)       — first syntax error in Go source, or null
+ */
+
+/** Brackets and their closing counterparts. */
+const CLOSERS = new Map([
+  ['(', ')'],
+  ['[', ']'],
+  ['{', '}'],
+]);
+
+/** Python clauses that continue a compound statement, and the clauses they may follow. */
+const PYTHON_CONTINUATIONS = new Map([
+  ['elif', ['if', 'elif']],
+  ['else', ['if', 'elif', 'for', 'while', 'try', 'except']],
+  ['except', ['try', 'except']],
+  ['finally', ['try', 'except', 'else']],
+]);
+
+/** Python statements that are only valid inside a function body. */
+const PYTHON_FUNCTION_ONLY = new Set(['return', 'yield', 'await']);
+
+/** Go operators that cannot end an expression (a line ending in one continues it). */
+const GO_BINARY_OPERATORS = new Set([
+  '+', '-', '*', '/', '%', '&', '|', '^', '<<', '>>', '&^',
+  '&&', '||', '==', '!=', '<', '<=', '>', '>=', '<-',
+  '=', ':=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=', '&^=',
+]);
+
+/** Go operators, longest first so the tokenizer matches greedily. */
+const GO_OPERATORS = [
+  '<<=', '>>=', '&^=', '...',
+  '&&', '||', '<-', '++', '--', '==', '!=', '<=', '>=', ':=', '<<', '>>', '&^',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+];
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a syntax error result.
+ *
+ * @param {number} line - 1-based line.
+ * @param {string} message
+ * @returns {{ line: number, message: string }}
+ */
+function syntaxError(line, message) {
+  return { line, message };
+}
+
+/**
+ * Width of a run of leading whitespace, with tabs advancing to the next
+ * multiple of 8 as in CPython.
+ *
+ * @param {string} whitespace
+ * @returns {number}
+ */
+function indentWidth(whitespace) {
+  let width = 0;
+  for (const ch of whitespace) {
+    width = ch === '\t' ? width + 8 - (width % 8) : width + 1;
+  }
+  return width;
+}
+
+/**
+ * Scans a Python string literal starting at the opening quote.
+ *
+ * @param {string} source
+ * @param {number} start - Index of the opening quote.
+ * @returns {{ end: number, newlines: number }|{ error: string }} Index just
+ *   past the closing quote and the line breaks inside, or why it is unterminated.
+ */
+function scanPythonString(source, start) {
+  const quote = source[start];
+  const triple = source.startsWith(quote.repeat(3), start);
+  const closing = triple ? quote.repeat(3) : quote;
+  let newlines = 0;
+
+  for (let i = start + closing.length; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      if (source[i + 1] === '\n') newlines++;
+      i++;
+    } else if (source.startsWith(closing, i)) {
+      return { end: i + closing.length, newlines };
+    } else if (ch === '\n') {
+      if (!triple) return { error: 'unterminated string literal' };
+      newlines++;
+    }
+  }
+  return { error: triple ? 'unterminated triple-quoted string literal' : 'unterminated string literal' };
+}
+
+/**
+ * Splits Go source into tokens. Comments are dropped; strings, runes and
+ * numbers become single tokens.
+ *
+ * @param {string} source
+ * @returns {{ tokens: Array<{ value: string, line: number, endLine: number }> }|{ error: object }}
+ */
+function tokenizeGo(source) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (ch === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) return { error: syntaxError(line, 'comment not terminated') };
+      for (let j = i; j < end; j++) if (source[j] === '\n') line++;
+      i = end + 2;
+    } else if (ch === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) return { error: syntaxError(line, 'raw string literal not terminated') };
+      const startLine = line;
+      for (let j = i; j < end; j++) if (source[j] === '\n') line++;
+      i = end + 1;
+      tokens.push({ value: '"raw"', line: startLine, endLine: line });
+    } else if (ch === '"' || ch === "'") {
+      i++;
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      if (source[i] !== ch) {
+        return { error: syntaxError(line, ch === '"' ? 'string literal not terminated' : 'rune literal not terminated') };
+      }
+      i++;
+      tokens.push({ value: '"lit"', line, endLine: line });
+    } else if (/[\w.]/.test(ch) && !(ch === '.' && source.startsWith('...', i))) {
+      while (i < source.length && /[\w.]/.test(source[i])) i++;
+      tokens.push({ value: source.slice(start, i), line, endLine: line });
+    } else {
+      const operator = GO_OPERATORS.find((op) => source.startsWith(op, i)) ?? ch;
+      i += operator.length;
+      tokens.push({ value: operator, line, endLine: line });
+    }
+  }
+
+  return { tokens };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks Python source for the errors line edits introduce: unterminated
+ * strings, unbalanced brackets, inconsistent indentation (unexpected indent,
+ * unmatched dedent, a block opener with no indented body), `elif` / `else` /
+ * `except` / `finally` clauses that no longer follow the statement they
+ * belong to, a `try` block left without its `except` or `finally`, and
+ * `return` / `yield` / `await` statements outside any function body.
+ *
+ * @param {string} source - Python source.
+ * @returns {{ line: number, message: string }|null} The first error found, or null.
+ */
+export function checkPythonSyntax(source) {
+  const brackets = [];
+  const indents = [0];
+  // Whether each indentation level is inside a function body
+  const inFunction = [false];
+  // Keyword of the last statement that started at each indentation width
+  const lastKeyword = new Map();
+  // Line of each `try` still waiting for its `except` / `finally`, by width
+  const openTries = new Map();
+  let line = 1;
+  let i = 0;
+  let atLogicalStart = true;
+  let continued = false;
+  let lastToken = '';
+  let expectIndent = 0;
+  let keyword = '';
+  let opener = '';
+
+  while (i < source.length) {
+    if (atLogicalStart && brackets.length === 0 && !continued) {
+      const lineEnd = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+      const text = source.slice(i, lineEnd);
+      const leading = text.match(/^[ \t\f]*/)[0];
+      const rest = text.slice(leading.length);
+
+      // Blank and comment-only lines do not affect indentation
+      if (rest === '' || rest === '\r' || rest.startsWith('#')) {
+        i = lineEnd + 1;
+        line++;
+        continue;
+      }
+
+      const width = indentWidth(leading);
+      let top = indents[indents.length - 1];
+      if (expectIndent) {
+        if (width <= top) return syntaxError(line, `expected an indented block after line ${expectIndent}`);
+        indents.push(width);
+        inFunction.push(opener === 'def' || (opener !== 'class' && inFunction[inFunction.length - 1]));
+        expectIndent = 0;
+      } else if (width > top) {
+        return syntaxError(line, 'unexpected indent');
+      } else {
+        while (width < top) {
+          indents.pop();
+          inFunction.pop();
+          for (const key of lastKeyword.keys()) if (key > width) lastKeyword.delete(key);
+          top = indents[indents.length - 1];
+        }
+        if (width !== top) return syntaxError(line, 'unindent does not match any outer indentation level');
+      }
+
+      keyword = rest.match(/^(?:async\s+)?([A-Za-z_]\w*)/)?.[1] ?? '';
+      for (const [tryWidth, tryLine] of openTries) {
+        if (tryWidth > width || (tryWidth === width && keyword !== 'except' && keyword !== 'finally')) {
+          return syntaxError(line, `expected 'except' or 'finally' block after 'try' on line ${tryLine}`);
+        }
+      }
+      openTries.delete(width);
+      if (keyword === 'try') openTries.set(width, line);
+      const follows = PYTHON_CONTINUATIONS.get(keyword);
+      if (follows && !follows.includes(lastKeyword.get(width))) {
+        return syntaxError(line, `'${keyword}' does not follow ${follows.map((k) => `'${k}'`).join(' / ')}`);
+      }
+      lastKeyword.set(width, keyword);
+
+      if (PYTHON_FUNCTION_ONLY.has(keyword) && !inFunction[inFunction.length - 1]) {
+        return syntaxError(line, `'${keyword}' outside function`);
+      }
+
+      i += leading.length;
+      atLogicalStart = false;
+      lastToken = '';
+    }
+
+    const ch = source[i];
+
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (ch === '\\' && (source[i + 1] === '\n' || source.startsWith('\r\n', i + 1))) {
+      i += source[i + 1] === '\n' ? 2 : 3;
+      line++;
+      continued = true;
+    } else if (ch === '\n') {
+      i++;
+      line++;
+      continued = false;
+      if (brackets.length === 0) {
+        if (lastToken === ':') {
+          expectIndent = line - 1;
+          opener = keyword;
+        }
+        atLogicalStart = true;
+      }
+    } else if (ch === '"' || ch === "'") {
+      const string = scanPythonString(source, i);
+      if (string.error) return syntaxError(line, string.error);
+      i = string.end;
+      line += string.newlines;
+      lastToken = 'string';
+    } else if (CLOSERS.has(ch)) {
+      brackets.push({ ch, line });
+      lastToken = ch;
+      i++;
+    } else if (ch === ')' || ch === ']' || ch === '}') {
+      const open = brackets.pop();
+      if (!open) return syntaxError(line, `unmatched '${ch}'`);
+      if (CLOSERS.get(open.ch) !== ch) {
+        return syntaxError(line, `closing '${ch}' does not match opening '${open.ch}' on line ${open.line}`);
+      }
+      lastToken = ch;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (/\w/.test(ch)) {
+      while (i < source.length && /[\w.]/.test(source[i])) i++;
+      lastToken = 'name';
+    } else {
+      lastToken = ch;
+      i++;
+    }
+  }
+
+  if (brackets.length > 0) {
+    const open = brackets[brackets.length - 1];
+    return syntaxError(open.line, `'${open.ch}' was never closed`);
+  }
+  if (expectIndent || lastToken === ':') {
+    return syntaxError(expectIndent || line, 'expected an indented block at end of file');
+  }
+  if (openTries.size > 0) {
+    return syntaxError([...openTries.values()][0], "expected 'except' or 'finally' block at end of file");
+  }
+  return null;
+}
+
+/**
+ * Checks Go source for the errors line edits introduce: unterminated
+ * strings, runes and comments, unbalanced brackets, an expression cut off
+ * after a binary operator, an `else` that does not follow `}` on the same
+ * line, statements in a `switch` / `select` body before the first `case`,
+ * and `:=` outside a function body (at the top level or in a `var (...)` /
+ * `const (...)` group).
+ *
+ * @param {string} source - Go source.
+ * @returns {{ line: number, message: string }|null} The first error found, or null.
+ */
+export function checkGoSyntax(source) {
+  const scanned = tokenizeGo(source);
+  if (scanned.error) return scanned.error;
+  const { tokens } = scanned;
+
+  const brackets = [];
+  let firstOnLine = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (!previous || token.line > previous.endLine) firstOnLine = token;
+
+    if (token.value === 'else' && previous && (previous.value !== '}' || previous.endLine !== token.line)) {
+      return syntaxError(token.line, "unexpected else: 'else' must follow '}' on the same line");
+    }
+
+    // A line ending in a binary operator continues on the next line; it cannot be closed off
+    if (GO_BINARY_OPERATORS.has(token.value) && (!next || (next.line > token.endLine && /^[)\]}]$/.test(next.value)))) {
+      return syntaxError(token.line, `expression expected after '${token.value}'`);
+    }
+
+    // Short variable declarations only exist inside function bodies
+    if (token.value === ':=') {
+      const scope = brackets.findLast((open) => open.value === '{' || open.declGroup);
+      if (!scope || scope.declGroup) {
+        return syntaxError(token.line, "expected type, found ':=' (':=' outside a function body)");
+      }
+    }
+
+    if (CLOSERS.has(token.value)) {
+      // A switch/select body is the '{' ending a line that starts with the keyword
+      const keyword = firstOnLine.value;
+      const isSwitch =
+        token.value === '{' && (keyword === 'switch' || keyword === 'select') && next?.line > token.line;
+      const declGroup = token.value === '(' && (previous?.value === 'var' || previous?.value === 'const');
+      brackets.push({ value: token.value, line: token.line, declGroup });
+      if (isSwitch && next && next.value !== '}' && next.value !== 'case' && next.value !== 'default') {
+        return syntaxError(next.line, `statement outside any case in ${keyword} body`);
+      }
+    } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+      const open = brackets.pop();
+      if (!open) return syntaxError(token.line, `unexpected '${token.value}'`);
+      if (CLOSERS.get(open.value) !== token.value) {
+        return syntaxError(token.line, `closing '${token.value}' does not match opening '${open.value}' on line ${open.line}`);
+      }
+    }
+  }
+
+  if (brackets.length > 0) {
+    const open = brackets[brackets.length - 1];
+    return syntaxError(open.line, `'${open.value}' is never closed`);
+  }
+  return null;
+}
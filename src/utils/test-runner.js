@@ -0,0 +1,161 @@
+/**
+ * test-runner.js — Hydra Bugbot project test command runner
+ *
+ * Runs a user-supplied test command (e.g. `npm test`, `pytest -q`, `go test ./...`)
+ * through the shell and summarises the outcome, so a change can be checked
+ * against the result of the same command before the change.
+ *
+ * Exported API:
+ *   DEFAULT_TEST_TIMEOUT_MS                   — time limit for one test run
+ *   runTests(command, options)                — run the command and summarise the result
+ *   compareToBaseline(baseline, result)       — why a result is worse than the baseline, or null
+ *   classifyMutant(baseline, result)          — whether the tests caught an injected bug
+ */
+
+import { spawn } from 'node:child_process';
+
+/**
+ * Time limit for one test run, in milliseconds.
+ * @type {number}
+ */
+export const DEFAULT_TEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** Characters of test output kept for error messages. */
+const OUTPUT_TAIL_CHARS = 4000;
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a failing-test count from common runner summaries: Jest/Vitest
+ * ("Tests: 2 failed"), Mocha ("2 failing"), pytest ("2 failed"), and Go
+ * (one "--- FAIL:" line per failing test).
+ *
+ * @param {string} output - Combined stdout and stderr.
+ * @returns {number|null} The count, or null if the output has no recognisable summary.
+ */
+function countFailures(output) {
+  const counts = Array.from(output.matchAll(/\b(\d+)\s+(?:failed|failing|failures?)\b/gi), (m) => Number(m[1]));
+  if (counts.length > 0) return Math.max(...counts);
+
+  const goFailures = output.match(/^\s*--- FAIL:/gm);
+  if (goFailures) return goFailures.length;
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs `command` through the shell in the working directory. The command gets
+ * its own process group, so on timeout everything it started is killed, not
+ * just the shell.
+ *
+ * @param {string} command - Shell command, e.g. "npm test".
+ * @param {{ timeoutMs?: number, cwd?: string }} [options={}]
+ *   - timeoutMs: kill the command after this long (default: DEFAULT_TEST_TIMEOUT_MS)
+ *   - cwd: directory to run in (default: the working directory)
+ * @returns {Promise<{
+ *   passed: boolean,
+ *   exitCode: number|null,
+ *   timedOut: boolean,
+ *   failures: number|null,
+ *   output: string,
+ *   durationMs: number
+ * }>} `failures` is the failing-test count when the output reports one;
+ *   `output` is the tail of the combined stdout and stderr.
+ */
+export function runTests(command, options = {}) {
+  const { timeoutMs = DEFAULT_TEST_TIMEOUT_MS, cwd = process.cwd() } = options;
+  const started = Date.now();
+
+  return new Promise((resolve) => {
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, CI: process.env.CI ?? '1' },
+    });
+
+    let output = '';
+    const collect = (chunk) => {
+      // Keep memory bounded for chatty suites; only the tail is reported
+      output = (output + chunk).slice(-OUTPUT_TAIL_CHARS * 16);
+    };
+    child.stdout.setEncoding('utf8').on('data', collect);
+    child.stderr.setEncoding('utf8').on('data', collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        // Already exited
+      }
+    }, timeoutMs);
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      resolve({
+        passed: !timedOut && !error && exitCode === 0,
+        exitCode,
+        timedOut,
+        failures: countFailures(output),
+        output: (error ? `${output}${error.message}\n` : output).slice(-OUTPUT_TAIL_CHARS),
+        durationMs: Date.now() - started,
+      });
+    };
+    child.on('error', (err) => finish(null, err));
+    child.on('close', (code) => finish(code, null));
+  });
+}
+
+/**
+ * Decides whether a test result is worse than the baseline run: it fails
+ * where the baseline passed, times out, or — when both fail — reports more
+ * failing tests (or a failure count that cannot be compared).
+ *
+ * @param {{ passed: boolean, failures: number|null }} baseline - Result before the change.
+ * @param {{ passed: boolean, timedOut: boolean, exitCode: number|null, failures: number|null }} result -
+ *   Result after the change.
+ * @returns {string|null} Why the change broke the tests, or null if it did not.
+ */
+export function compareToBaseline(baseline, result) {
+  if (result.timedOut) return 'test command timed out';
+  if (result.passed) return null;
+  if (baseline.passed) return `tests fail after the change (exit code ${result.exitCode})`;
+
+  if (baseline.failures == null || result.failures == null) {
+    return 'tests failed before and after the change, and the failure counts cannot be compared';
+  }
+  if (result.failures > baseline.failures) {
+    return `${result.failures} failing test(s), up from ${baseline.failures}`;
+  }
+  return null;
+}
+
+/**
+ * Classifies a test run made after injecting a bug, mutation-testing style:
+ * the bug is "killed" if the result is worse than the baseline (see
+ * compareToBaseline), "survived" if it is not, and "timeout" if the run timed
+ * out. When both runs fail without a comparable failure count the outcome is
+ * "unknown".
+ *
+ * @param {{ passed: boolean, failures: number|null }} baseline - Result before the injection.
+ * @param {{ passed: boolean, timedOut: boolean, exitCode: number|null, failures: number|null }} result -
+ *   Result with the injection applied.
+ * @returns {{ status: 'killed'|'survived'|'timeout'|'unknown', reason: string|null }} `reason`
+ *   says how the tests caught the bug, or why the outcome is unknown.
+ */
+export function classifyMutant(baseline, result) {
+  if (result.timedOut) return { status: 'timeout', reason: 'test command timed out' };
+  if (!result.passed && !baseline.passed && (baseline.failures == null || result.failures == null)) {
+    return { status: 'unknown', reason: 'tests already failed, and the failure counts cannot be compared' };
+  }
+  const reason = compareToBaseline(baseline, result);
+  return { status: reason ? 'killed' : 'survived', reason };
+}